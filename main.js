@@ -1,12 +1,43 @@
-const { app, BrowserWindow, ipcMain, desktopCapturer, clipboard } = require('electron');
+const { app, BrowserWindow, ipcMain, desktopCapturer, clipboard, dialog, Tray, Menu, nativeImage, shell, powerMonitor, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
-const { exec } = require('child_process');
+const { execFile } = require('child_process');
 const axios = require('axios');
 const clipboardEvent = require('clipboard-event');
 const { getVersionFromGitHub, downloadFileFromGitHub } = require('./utils/github-downloader');
+const { createConfig } = require('./utils/config');
+const { CONFIG_SCHEMA } = require('./utils/config-schema');
+const { loadOrCreateDeviceId, readRemoteConfigCache, createRemoteConfigClient } = require('./utils/remote-config');
+const { createUploadQueue } = require('./utils/upload-queue');
+const { createHeartbeat } = require('./utils/heartbeat');
+const { downloadVerifiedFiles, verifyInstalledFiles, sha256Buffer } = require('./utils/code-signing');
+const { createUpdateManager, compareVersions } = require('./utils/update-manager');
+const { getDiskSpace } = require('./utils/disk-space');
+const { createLogger } = require('./utils/logger');
+const { createRetentionManager } = require('./utils/retention');
+const { createCallDetector } = require('./utils/call-detector');
+const { createProcessProbe } = require('./utils/process-probe');
+const { collectSamples, computeRecommendedThreshold, writeConfigValue } = require('./utils/threshold-calibration');
+const { findOrphanedRecordings, parseRecordingStartTime, PARTIAL_SUFFIX, UNRECOVERABLE_SUFFIX, PREROLL_SUFFIX } = require('./utils/recording-recovery');
+const { resolveOutputFormat, buildEncoderArgs, getAudioContentTypes } = require('./utils/audio-format');
+const { buildAudioFilterChain, buildSilenceDetectFilters, parseSilenceTrim, getTrimmedMs } = require('./utils/audio-filters');
+const { createRecordingCatalog, hashFile } = require('./utils/recording-catalog');
+const { createControlServer, createHttpError } = require('./utils/control-server');
+const { TRAY_STATUSES, createCircleBitmap, formatElapsed } = require('./utils/tray-icon');
+const { buildRecordingMetadata, buildMetadataTags, buildMetadataArgs, getSidecarPath, writeSidecar, readSidecar } = require('./utils/recording-metadata');
+const {
+    ALGORITHM: RECORDING_CIPHER,
+    KEY_WRAP_ALGORITHM,
+    loadOrCreateDeviceKey,
+    isEncryptedFile,
+    getPlaintextSize,
+    encryptFile,
+    createDecryptStream,
+    decryptFile,
+    wrapKey
+} = require('./utils/recording-crypto');
 const contentTypeMap = {
-    '.mp3': 'audio/mpeg',
+    ...getAudioContentTypes(),
     '.webm': 'audio/webm',
     '.jpg': 'image/jpeg',
     '.jpeg': 'image/jpeg',
@@ -15,47 +46,44 @@ const contentTypeMap = {
 
 /* --------------------------------------------------
    1. Load CONFIG an toàn cho Electron production
+   defaults < default.json < config.txt (installer) < server (remote) < biến môi trường ZALOREC_*
+   (Lỗi cấu hình được ghi log sau khi setup logger)
 -------------------------------------------------- */
 
-function loadJSONConfig() {
-    try {
-        const configPath = app.isPackaged
-            ? path.join(process.resourcesPath, "config", "default.json")
-            : path.join(__dirname, "../config/default.json");
-
-        if (!fs.existsSync(configPath)) {
-            console.warn("default.json not found:", configPath);
-            return {};
-        }
-
-        return JSON.parse(fs.readFileSync(configPath, "utf8"));
-    } catch (err) {
-        console.warn("Failed to load default.json:", err.message);
-        return {};
-    }
+/**
+ * Đường dẫn default.json đi kèm bản build
+ */
+function getDefaultConfigPath() {
+    return app.isPackaged
+        ? path.join(process.resourcesPath, "config", "default.json")
+        : path.join(__dirname, "../config/default.json");
 }
 
-const appConfig = loadJSONConfig();
-
-/* --------------------------------------------------
-   2. Load MEMORY_CALL_THRESHOLD_KB và NameCode từ installer
-   (Tạm thời khai báo, sẽ đọc sau khi setup logger)
--------------------------------------------------- */
-
-let installThreshold = null;
-let installNameCode = null;
+/**
+ * Đường dẫn file config.txt do installer tạo
+ */
+function getInstallConfigPath() {
+    return app.isPackaged
+        ? path.join(process.resourcesPath, "..", "config.txt")
+        : path.join(__dirname, "config.txt");
+}
 
-/* --------------------------------------------------
-   3. Áp dụng cấu hình (fallback 3 tầng)
--------------------------------------------------- */
+const configStore = createConfig({
+    schema: CONFIG_SCHEMA,
+    jsonPath: getDefaultConfigPath(),
+    txtPath: getInstallConfigPath()
+});
 
-const DEFAULT_THRESHOLD = 100000;
+// Cấu hình từ server lần trước, dùng ngay khi khởi động (kể cả khi mất mạng)
+const REMOTE_CONFIG_CACHE_FILE = path.join(app.getPath('userData'), 'remote-config.json');
+configStore.setRemoteLayer(readRemoteConfigCache(REMOTE_CONFIG_CACHE_FILE)?.config);
 
-// MEMORY_CALL_THRESHOLD_KB sẽ được cập nhật sau khi đọc file config
+// Object cấu hình dùng chung, luôn phản ánh giá trị mới nhất sau mỗi lần reload
+const appConfig = configStore.values;
 
 const OUTPUT_DIR = path.join(
     app.getPath("documents"),
-    appConfig.RECORDINGS_DIR || "recordings"
+    appConfig.RECORDINGS_DIR
 );
 
 /* --------------------------------------------------
@@ -88,193 +116,102 @@ function getCleanEnv() {
 }
 
 /* --------------------------------------------------
-   6. Logger System - Chỉ ghi ERROR vào file theo ngày
+   6. Logger System - Ghi JSON lines vào file theo ngày, lọc theo LOG_LEVEL
 -------------------------------------------------- */
 
 const LOG_DIR = path.join(OUTPUT_DIR, 'logs');
 
-// Tạo thư mục logs nếu chưa có
-if (!fs.existsSync(LOG_DIR)) {
-    fs.mkdirSync(LOG_DIR, { recursive: true });
-}
-
-// Lưu console gốc
-const originalConsoleLog = console.log;
-const originalConsoleError = console.error;
-const originalConsoleWarn = console.warn;
-
-/**
- * Lấy đường dẫn file log theo ngày hiện tại
- */
-function getLogFilePath() {
-    const today = new Date().toISOString().split('T')[0].replace(/-/g, '_');
-    return path.join(LOG_DIR, `app_${today}.log`);
-}
-
-/**
- * Ghi log ERROR vào file với timestamp (chỉ ghi ERROR)
- */
-function writeToLogFile(level, source, ...args) {
-    // Chỉ ghi ERROR vào file
-    if (level !== 'ERROR') {
-        return;
-    }
-    
-    try {
-        const logFilePath = getLogFilePath();
-        const timestamp = new Date().toISOString();
-        const message = args.map(arg => {
-            if (typeof arg === 'object') {
-                try {
-                    return JSON.stringify(arg, null, 2);
-                } catch {
-                    return String(arg);
-                }
-            }
-            return String(arg);
-        }).join(' ');
-        const logMessage = `[${timestamp}] [${level}] [${source}] ${message}\n`;
-        fs.appendFileSync(logFilePath, logMessage, 'utf8');
-    } catch (error) {
-        // Nếu không ghi được log, in ra console gốc
-        originalConsoleError('Failed to write log:', error);
+// Lỗi gần nhất (gửi kèm heartbeat)
+let lastLoggedError = null;
+
+const logger = createLogger({
+    logDir: LOG_DIR,
+    source: 'MAIN',
+    // Gắn version và cuộc gọi đang ghi vào mọi dòng log
+    getContext: () => ({
+        version: app.getVersion(),
+        code_version: appConfig.REMOTE_CODE_ENABLED ? updateManager.getCurrentVersion(app.getVersion()) : undefined,
+        call_id: currentCallSession?.recordingId
+    }),
+    getMinLevel: () => appConfig.LOG_LEVEL,
+    getMaxFileBytes: () => appConfig.LOG_MAX_FILE_MB * 1048576,
+    onEntry: (entry) => {
+        if (entry.level === 'error') {
+            lastLoggedError = { source: entry.source, message: entry.msg.slice(0, 1000), at: entry.ts };
+        }
     }
-}
-
-// Override console.log - Chỉ in ra console, không ghi file
-console.log = function(...args) {
-    originalConsoleLog.apply(console, args);
-    writeToLogFile('LOG', 'MAIN', ...args);
-};
-
-// Override console.error - In ra console và ghi vào file
-console.error = function(...args) {
-    originalConsoleError.apply(console, args);
-    writeToLogFile('ERROR', 'MAIN', ...args);
-};
-
-// Override console.warn - Chỉ in ra console, không ghi file
-console.warn = function(...args) {
-    originalConsoleWarn.apply(console, args);
-};
+});
 
-// IPC handler để renderer gửi log về main process (chỉ ERROR)
-ipcMain.on('renderer-log', (event, level, ...args) => {
-    if (level === 'ERROR') {
-        writeToLogFile(level, 'RENDERER', ...args);
-    }
+// IPC handler để renderer gửi log về main process (ghi chung file, cùng LOG_LEVEL)
+ipcMain.on('renderer-log', (event, level, args, context) => {
+    logger.write(
+        String(level).toLowerCase(),
+        'RENDERER',
+        Array.isArray(args) ? args : [args],
+        context && typeof context === 'object' ? context : {}
+    );
 });
 
 /* --------------------------------------------------
-   2. Function để load config files từ installer
+   2. Báo lỗi cấu hình và áp dụng thay đổi khi config được load lại
 -------------------------------------------------- */
 
-function loadConfigFiles() {
-    const configPath = app.isPackaged
-        ? path.join(process.resourcesPath, "..", "config.txt")
-        : path.join(__dirname, "config.txt");
-
-    if (fs.existsSync(configPath)) {
-        try {
-            const configContent = fs.readFileSync(configPath, "utf8");
-
-            // Parse format key=value, mỗi dòng một key
-            const lines = configContent.split(/\r?\n/);
-            
-            for (const line of lines) {
-                const trimmedLine = line.trim();
-                // Bỏ qua dòng trống và comment
-                if (!trimmedLine || trimmedLine.startsWith('#')) {
-                    continue;
-                }
-
-                // Tách key và value
-                const equalIndex = trimmedLine.indexOf('=');
-                if (equalIndex === -1) {
-                    continue; // Bỏ qua dòng không có dấu =
-                }
-
-                const key = trimmedLine.substring(0, equalIndex).trim();
-                const value = trimmedLine.substring(equalIndex + 1).trim();
+/**
+ * Ghi log các lỗi/cảnh báo cấu hình (key sai kiểu, thiếu key bắt buộc, gõ sai tên key)
+ */
+function reportConfigProblems({ errors, warnings }) {
+    errors.forEach(message => logger.error(`[CONFIG] ${message}`));
+    warnings.forEach(message => logger.warn(`[CONFIG] ${message}`));
+}
 
-                // Đọc MEMORY_CALL_THRESHOLD_KB
-                if (key === 'MEMORY_CALL_THRESHOLD_KB') {
-                    const parsed = parseInt(value, 10);
-                    if (!isNaN(parsed)) {
-                        installThreshold = parsed;
-                    } else {
-                        console.error('Failed to parse MEMORY_CALL_THRESHOLD_KB, value:', value);
-                    }
-                }
+configStore.on('problems', reportConfigProblems);
 
-                // Đọc NAME_CODE
-                if (key === 'NAME_CODE') {
-                    installNameCode = value;
-                }
-            }
-        } catch (err) {
-            console.error('Error reading/parsing config file:', err.message);
-            console.error('Error stack:', err.stack);
-        }
+configStore.on('change', (changedKeys) => {
+    logger.info(`[CONFIG] Reloaded, changed: ${changedKeys.join(', ')}`);
+    const restartKeys = changedKeys.filter(key => CONFIG_SCHEMA[key]?.restart);
+    if (restartKeys.length) {
+        logger.warn(`[CONFIG] Restart required to apply: ${restartKeys.join(', ')}`);
     }
-
-    // Cập nhật lại MEMORY_CALL_THRESHOLD_KB chỉ khi đọc được giá trị mới từ config
-    if (installThreshold !== null) {
-        MEMORY_CALL_THRESHOLD_KB = installThreshold;
-    } else {
-        // Chỉ dùng fallback nếu chưa đọc được từ config (giữ nguyên giá trị hiện tại)
-        const previousValue = MEMORY_CALL_THRESHOLD_KB;
-        const fallbackValue = appConfig.MEMORY_CALL_THRESHOLD_KB || DEFAULT_THRESHOLD;
-        
-        // Chỉ cập nhật nếu giá trị fallback khác với giá trị hiện tại
-        if (previousValue !== fallbackValue) {
-            MEMORY_CALL_THRESHOLD_KB = fallbackValue;
-        }
+    if (!app.isReady()) {
+        return;
     }
-}
 
-/* --------------------------------------------------
-   2.1. Setup file watcher để tự động reload config khi file được tạo/thay đổi
--------------------------------------------------- */
-
-function setupConfigFileWatcher() {
-    const configPath = app.isPackaged
-        ? path.join(process.resourcesPath, "..", "config.txt")
-        : path.join(__dirname, "config.txt");
-
-    const configDir = path.dirname(configPath);
-    const configFileName = path.basename(configPath);
-
-    // Sử dụng fs.watchFile để theo dõi file (hoạt động cả khi file chưa tồn tại)
-    fs.watchFile(configPath, { interval: 1000 }, (curr, prev) => {
-        // Kiểm tra nếu file vừa được tạo (prev.mtime = 0) hoặc được thay đổi
-        if (curr.mtime !== prev.mtime || (prev.mtime.getTime() === 0 && curr.mtime.getTime() > 0)) {
-            loadConfigFiles();
-        }
-    });
+    // Các key cần khởi động lại phần liên quan để có hiệu lực
+    if (changedKeys.includes('CLIPBOARD_MONITOR_ENABLED')) {
+        stopClipboardMonitoring();
+        startClipboardMonitoring();
+    }
+    if (changedKeys.includes('REMOTE_CODE_CHECK_INTERVAL_MS') && versionCheckInterval) {
+        stopVersionCheck();
+        startVersionCheck();
+    }
+    if (['CALL_DETECTION_STRATEGY', 'CALL_START_SAMPLES', 'CALL_STOP_GRACE_MS'].some(key => changedKeys.includes(key))) {
+        callDetector.configure(getCallDetectorOptions());
+    }
+    if (changedKeys.includes('CALL_CHECK_INTERVAL_MS')) {
+        restartMonitoring();
+    }
+});
 
-    // Cũng watch thư mục để phát hiện khi file được tạo
-    if (fs.existsSync(configDir)) {
-        fs.watch(configDir, (eventType, filename) => {
-            if (filename === configFileName) {
-                // Delay một chút để đảm bảo file đã được ghi xong
-                setTimeout(() => {
-                    loadConfigFiles();
-                }, 100);
-            }
-        });
+/**
+ * Báo lỗi cấu hình lúc khởi động: ghi log, và hiện hộp thoại nếu có lỗi
+ * (thiếu API_URL... thì app vẫn chạy nhưng không upload được)
+ */
+function reportStartupConfigProblems() {
+    const problems = configStore.getProblems();
+    reportConfigProblems(problems);
+    if (problems.errors.length) {
+        dialog.showErrorBox(
+            'Zalo Recorder - Lỗi cấu hình',
+            `${problems.errors.join('\n')}\n\nKiểm tra default.json, config.txt hoặc biến môi trường ZALOREC_*.`
+        );
     }
 }
 
-// Khởi tạo MEMORY_CALL_THRESHOLD_KB với giá trị mặc định
-let MEMORY_CALL_THRESHOLD_KB = 
-    appConfig.MEMORY_CALL_THRESHOLD_KB ||
-    DEFAULT_THRESHOLD;
-
 // Kiểm tra FFmpeg
 if (!fs.existsSync(FFMPEG_PATH)) {
-    console.error('FFmpeg NOT FOUND:', FFMPEG_PATH);
-    console.error('This will cause recording conversion to fail!');
+    logger.error('FFmpeg NOT FOUND:', FFMPEG_PATH);
+    logger.error('This will cause recording conversion to fail!');
 }
 
 // Kiểm tra quyền ghi vào OUTPUT_DIR
@@ -283,9 +220,9 @@ try {
     fs.writeFileSync(testFile, 'test');
     fs.unlinkSync(testFile);
 } catch (err) {
-    console.error('Output directory is NOT writable:', OUTPUT_DIR);
-    console.error('Error:', err.message);
-    console.error('This will cause recording save to fail!');
+    logger.error('Output directory is NOT writable:', OUTPUT_DIR);
+    logger.error('Error:', err.message);
+    logger.error('This will cause recording save to fail!');
 }
 
 /* --------------------------------------------------
@@ -309,7 +246,7 @@ async function callApi(apiUrl, endpoint, method = 'GET', data = null, customHead
         const finalUrl = isFullUrl ? endpoint : `${apiUrl}/${endpoint}`;
         
         if (!isFullUrl && (!apiUrl || apiUrl.includes('undefined'))) {
-            console.error('callApi: ERROR - API URL is not set');
+            logger.error('callApi: ERROR - API URL is not set');
             return false;
         }
         
@@ -346,7 +283,7 @@ async function callApi(apiUrl, endpoint, method = 'GET', data = null, customHead
         
         return response.data;
     } catch (error) {
-        console.error(`callApi ${endpoint} catch error:`, error);
+        logger.error(`callApi ${endpoint} catch error:`, error);
         return error;
     }
 }
@@ -367,6 +304,27 @@ if (!fs.existsSync(CODE_CACHE_DIR)) {
     fs.mkdirSync(CODE_CACHE_DIR, { recursive: true });
 }
 
+/**
+ * Version của code đang chạy từ remote (đọc từ code-cache), null nếu dùng code local
+ * @returns {string|null}
+ */
+function getCodeVersion() {
+    try {
+        const versionFile = path.join(CODE_CACHE_DIR, 'app.version');
+        if (appConfig.REMOTE_CODE_ENABLED && fs.existsSync(versionFile)) {
+            return fs.readFileSync(versionFile, 'utf8').trim();
+        }
+    } catch {}
+    return null;
+}
+
+/**
+ * NAME_CODE của máy (config.txt từ installer, fallback default.json)
+ */
+function getNameCode() {
+    return appConfig.NAME_CODE || null;
+}
+
 /**
  * Lấy version từ package.json trên GitHub
  * @returns {Promise<string|null>} Version string hoặc null nếu lỗi
@@ -385,91 +343,201 @@ async function downloadFileFromGitLab(filePath, outputPath) {
     return await downloadFileFromGitHub(filePath, outputPath, appConfig);
 }
 
+// Thư mục tạm để tải và xác thực code trước khi đưa vào cache
+const CODE_STAGING_DIR = path.join(CODE_CACHE_DIR, '.staging');
+
+// Public key đi kèm bản cài (không nằm trong code-cache để code tải về không thể thay thế)
+const CODE_SIGNING_KEY_PATH = path.join(app.getAppPath(), 'keys', 'code-signing.pub.pem');
+
+let codeSigningKey;
+
 /**
- * Download renderer.js từ GitLab
- * @returns {Promise<string>} Đường dẫn đến renderer.js (local hoặc cache)
+ * Đọc public key dùng để kiểm tra chữ ký manifest, null nếu không có (khi đó không dùng code remote)
  */
-async function loadRendererJs() {
-    const localRendererJs = path.join(__dirname, 'renderer.js');
-    const cacheRendererJs = path.join(CODE_CACHE_DIR, 'renderer.js');
-    const versionFile = path.join(CODE_CACHE_DIR, 'app.version');
-
-    // Nếu không có GitLab config, dùng local file
-    if (!appConfig.REMOTE_CODE_ENABLED) {
-        if (fs.existsSync(localRendererJs)) {
-            return localRendererJs;
+function getCodeSigningKey() {
+    if (codeSigningKey === undefined) {
+        try {
+            codeSigningKey = fs.readFileSync(CODE_SIGNING_KEY_PATH, 'utf8');
+        } catch (error) {
+            logger.error(`[UPDATE] Code signing public key not found (${CODE_SIGNING_KEY_PATH}), remote code is disabled:`, error.message);
+            codeSigningKey = null;
         }
-        throw new Error('Local renderer.js not found and remote code is disabled');
     }
+    return codeSigningKey;
+}
+
+/**
+ * Bật remote code nhưng bản cài thiếu public key (build không kèm keys/code-signing.pub.pem):
+ * code remote không bao giờ được dùng, báo trên tray và heartbeat
+ */
+function isCodeSigningKeyMissing() {
+    return !!appConfig.REMOTE_CODE_ENABLED && !getCodeSigningKey();
+}
 
+/**
+ * Kiểm tra các file trong cache khớp với manifest đã ký
+ * @param {string[]} fileNames
+ * @returns {boolean}
+ */
+function isCachedCodeValid(fileNames) {
+    const publicKey = getCodeSigningKey();
+    if (!publicKey) {
+        return false;
+    }
     try {
-        // Lấy version từ GitLab package.json
-        const remoteVersion = await getVersionFromGitLab();
-        
-        if (!remoteVersion) {
-            // Fallback
-            if (fs.existsSync(cacheRendererJs)) {
-                return cacheRendererJs;
-            }
-            if (fs.existsSync(localRendererJs)) {
-                return localRendererJs;
-            }
-            throw new Error('Cannot get version from GitLab');
-        }
+        verifyInstalledFiles(CODE_CACHE_DIR, fileNames, publicKey);
+        return true;
+    } catch (error) {
+        logger.error('[UPDATE] Cached code rejected:', error.message);
+        return false;
+    }
+}
 
-        // Đọc local version nếu có
-        let localVersion = null;
-        if (fs.existsSync(versionFile)) {
-            localVersion = fs.readFileSync(versionFile, 'utf8').trim();
-        }
+// Các file code được cập nhật từ remote (luôn cập nhật cùng nhau theo một version)
+const CODE_FILES = ['main.js', 'renderer.js'];
 
-        // Nếu version khác hoặc chưa có cache, download
-        if (remoteVersion !== localVersion) {
-            console.log(`Downloading renderer.js from GitLab (version: ${remoteVersion})...`);
-            const downloadSuccess = await downloadFileFromGitLab('renderer.js', cacheRendererJs);
-            
-            if (downloadSuccess) {
-                fs.writeFileSync(versionFile, remoteVersion, 'utf8');
-                console.log('renderer.js downloaded successfully from GitLab');
-                return cacheRendererJs;
-            } else {
-                console.warn('Failed to download renderer.js from GitLab, using cached version if available');
-            }
-        }
+const updateManager = createUpdateManager({
+    cacheDir: CODE_CACHE_DIR,
+    fileNames: CODE_FILES,
+    keepVersions: appConfig.KEEP_CODE_VERSIONS,
+    maxLaunchAttempts: appConfig.UPDATE_MAX_LAUNCH_ATTEMPTS,
+    logger
+});
 
-        // Nếu có cache file, dùng cache
-        if (fs.existsSync(cacheRendererJs)) {
-            return cacheRendererJs;
-        }
+// Ghi nhận lần khởi động càng sớm càng tốt: version mới crash liên tục sẽ bị rollback.
+// Chỉ đếm được các lần chạy tới dòng này - main.js lỗi ngay lúc load thì không được đếm
+const launchState = appConfig.REMOTE_CODE_ENABLED
+    ? updateManager.recordLaunch()
+    : { rolledBack: false, version: null };
+
+// Bản cập nhật đã tải và xác thực trong CODE_STAGING_DIR, chờ cài đặt
+let stagedUpdate = null;
+let lastSkippedVersion = null;
+
+/**
+ * Kiểm tra version remote, nếu cần cập nhật thì tải tất cả CODE_FILES kèm manifest đã ký
+ * vào staging. Chỉ trả về bản cập nhật khi chữ ký và SHA-256 đều hợp lệ; cache hiện tại không bị thay đổi.
+ * @returns {Promise<{version: string, mainChanged: boolean}|null>}
+ */
+async function prepareCodeUpdate() {
+    const remoteVersion = await getVersionFromGitLab();
+    if (!remoteVersion) {
+        return null;
+    }
 
-        // Fallback về local file
-        if (fs.existsSync(localRendererJs)) {
-            console.warn('Using local renderer.js as fallback');
-            return localRendererJs;
+    const currentVersion = updateManager.getCurrentVersion(app.getVersion());
+    if (!updateManager.shouldInstall(remoteVersion, app.getVersion())) {
+        // Chỉ log một lần cho mỗi version bị bỏ qua
+        if (remoteVersion !== currentVersion && remoteVersion !== lastSkippedVersion) {
+            lastSkippedVersion = remoteVersion;
+            const reason = updateManager.isBlacklisted(remoteVersion)
+                ? 'blacklisted after a failed update'
+                : compareVersions(remoteVersion, currentVersion) < 0 ? 'older than current version' : 'invalid version';
+            logger.warn(`[UPDATE] Ignoring remote version ${remoteVersion} (current: ${currentVersion}): ${reason}`);
         }
+        return null;
+    }
+
+    if (stagedUpdate && stagedUpdate.version === remoteVersion && fs.existsSync(CODE_STAGING_DIR)) {
+        return stagedUpdate;
+    }
 
-        throw new Error('No renderer.js available');
+    const publicKey = getCodeSigningKey();
+    if (!publicKey) {
+        return null;
+    }
+    // Staging sắp bị ghi đè: bản đã tải trước đó (nếu có) không còn dùng được
+    stagedUpdate = null;
+    try {
+        const { version, manifest } = await downloadVerifiedFiles({
+            fileNames: CODE_FILES,
+            stagingDir: CODE_STAGING_DIR,
+            publicKeyPem: publicKey,
+            download: downloadFileFromGitLab,
+            expectedVersion: remoteVersion
+        });
+        // main.js không đổi thì chỉ cần reload renderer, không phải restart app
+        const runningMainHash = sha256Buffer(fs.readFileSync(__filename));
+        stagedUpdate = { version, mainChanged: manifest.files['main.js'].sha256 !== runningMainHash };
+        logger.info(`[UPDATE] Version ${version} downloaded and verified (current: ${currentVersion}, ${stagedUpdate.mainChanged ? 'restart' : 'renderer reload'} required)`);
+        return stagedUpdate;
     } catch (error) {
-        console.error('loadRendererJs error:', error.message);
-        
-        if (fs.existsSync(localRendererJs)) {
-            console.warn('Using local renderer.js as fallback');
-            return localRendererJs;
-        }
-        
-        if (fs.existsSync(cacheRendererJs)) {
-            console.warn('Using cached renderer.js as fallback');
-            return cacheRendererJs;
-        }
+        logger.error(`[UPDATE] Rejected remote code ${remoteVersion}:`, error.message);
+        stagedUpdate = null;
+        try {
+            fs.rmSync(CODE_STAGING_DIR, { recursive: true, force: true });
+        } catch {}
+        return null;
+    }
+}
 
-        throw error;
+/**
+ * Cài bản cập nhật đã xác thực (giữ các version cũ để rollback)
+ * @returns {string} Version đã cài
+ */
+function installStagedUpdate() {
+    const { version } = stagedUpdate;
+    updateManager.install(version, CODE_STAGING_DIR);
+    stagedUpdate = null;
+    return version;
+}
+
+/**
+ * Chọn renderer.js để chạy: bản active trong code-cache (nếu hợp lệ) hoặc bản đi kèm app.
+ * Code remote chỉ được cài bởi version check để health check/rollback theo dõi được.
+ * @returns {Promise<string>} Đường dẫn đến renderer.js (local hoặc cache)
+ */
+async function loadRendererJs() {
+    const localRendererJs = path.join(__dirname, 'renderer.js');
+    const cacheRendererJs = path.join(CODE_CACHE_DIR, 'renderer.js');
+
+    if (appConfig.REMOTE_CODE_ENABLED && fs.existsSync(cacheRendererJs) && isCachedCodeValid(['renderer.js'])) {
+        return cacheRendererJs;
+    }
+    if (fs.existsSync(localRendererJs)) {
+        return localRendererJs;
     }
+    throw new Error('No renderer.js available');
 }
 
 /* --------------------------------------------------
    7. Hidden BrowserWindow (MediaRecorder)
 -------------------------------------------------- */
 
+// Renderer đã load xong (dùng cho health check sau khi cập nhật)
+let rendererLoaded = false;
+// Version của renderer.js đang chạy trong cửa sổ (ghi lại lúc load, báo qua heartbeat)
+let rendererVersion = null;
+
+/**
+ * Inject renderer.js vào index.html rồi load vào cửa sổ ẩn
+ * @param {string} rendererJsPath
+ */
+function loadRendererIntoWindow(rendererJsPath) {
+    const rendererJsContent = fs.readFileSync(rendererJsPath, 'utf8');
+    
+    // Đọc HTML template
+    const htmlPath = path.join(__dirname, 'index.html');
+    let htmlContent = fs.readFileSync(htmlPath, 'utf8');
+    
+    // Thay thế script tag renderer.js bằng inline script với code đã download
+    htmlContent = htmlContent.replace(
+        /<script src="renderer\.js"><\/script>/,
+        `<script>${rendererJsContent}</script>`
+    );
+    
+    // Tạo temp HTML file với renderer.js đã inject
+    const tempHtmlPath = path.join(CODE_CACHE_DIR, 'index.html');
+    fs.writeFileSync(tempHtmlPath, htmlContent, 'utf8');
+    
+    rendererLoaded = false;
+    rendererVersion = path.dirname(rendererJsPath) === CODE_CACHE_DIR
+        ? getCodeVersion() || app.getVersion()
+        : app.getVersion();
+    logger.info(`Loading renderer.js ${rendererVersion} from ${rendererJsPath}`);
+    mainWindow.loadFile(tempHtmlPath);
+}
+
 async function createWindow() {
     mainWindow = new BrowserWindow({
         width: 1,
@@ -485,327 +553,705 @@ async function createWindow() {
         skipTaskbar: true
     });
 
-    // Capture console messages từ renderer (chỉ ERROR)
-    mainWindow.webContents.on('console-message', (event, level, message) => {
-        if (level === 2) { // ERROR level
-            writeToLogFile('ERROR', 'RENDERER', message);
-        }
+    // Renderer vừa load lại (update) thì gửi lại trạng thái pre-roll ở vòng lặp kế tiếp
+    mainWindow.webContents.on('did-finish-load', () => {
+        lastZaloRunning = null;
+        rendererLoaded = true;
+    });
+
+    mainWindow.webContents.on('render-process-gone', (event, details) => {
+        rendererLoaded = false;
+        logger.error('Renderer process gone:', details.reason);
     });
 
     // Load renderer.js và inject vào HTML
     try {
-        const rendererJsPath = await loadRendererJs();
-        const rendererJsContent = fs.readFileSync(rendererJsPath, 'utf8');
-        
-        // Đọc HTML template
-        const htmlPath = path.join(__dirname, 'index.html');
-        let htmlContent = fs.readFileSync(htmlPath, 'utf8');
-        
-        // Thay thế script tag renderer.js bằng inline script với code đã download
-        htmlContent = htmlContent.replace(
-            /<script src="renderer\.js"><\/script>/,
-            `<script>${rendererJsContent}</script>`
-        );
-        
-        // Tạo temp HTML file với renderer.js đã inject
-        const tempHtmlPath = path.join(CODE_CACHE_DIR, 'index.html');
-        fs.writeFileSync(tempHtmlPath, htmlContent, 'utf8');
-        
-        // Load temp HTML file
-        mainWindow.loadFile(tempHtmlPath);
+        loadRendererIntoWindow(await loadRendererJs());
     } catch (error) {
-        console.error('Failed to load renderer.js from remote, using local:', error.message);
+        logger.error('Failed to load renderer.js from remote, using local:', error.message);
         // Fallback về local HTML
         mainWindow.loadFile('src/index.html');
     }
 }
 
+/* --------------------------------------------------
+   7.2. Process Probe - Kiểm tra Zalo/ZaloCall (Windows: tasklist/typeperf, Linux: /proc)
+-------------------------------------------------- */
+
+const processProbe = createProcessProbe({ getEnv: getCleanEnv });
+
 function isZaloRunning() {
-    return new Promise((resolve) => {
-        exec('tasklist', {
-            shell: process.platform === 'win32' ? 'cmd.exe' : '/bin/sh',
-            env: getCleanEnv()
-        }, (error, stdout, stderr) => {
-            if (error) {
-                console.error('isZaloRunning catch error executing tasklist:', error.message);
-                if (stderr) {
-                    console.error('isZaloRunning catch stderr executing tasklist:', stderr);
-                }
-                resolve(false);
-                return;
-            }
-            const isRunning = stdout.toLowerCase().includes('zalo.exe');
-            // Chỉ log khi có thay đổi trạng thái hoặc mỗi 20 lần
-            resolve(isRunning);
-        });
-    });
+    return processProbe.isRunning(appConfig.ZALO_PROCESS_NAME);
+}
+
+function checkZaloCPU() {
+    return processProbe.cpuPercent(appConfig.ZALO_CALL_PROCESS_NAME);
+}
+
+function checkZaloMemory() {
+    return processProbe.memoryKB(appConfig.ZALO_CALL_PROCESS_NAME);
+}
+
+/**
+ * Lấy mẫu các chỉ số của ZaloCall mà chiến lược phát hiện cần
+ * @param {string[]} metrics - ['memory'], ['cpu'] hoặc cả hai
+ * @returns {Promise<{memory?: number, cpu?: number}>}
+ */
+async function sampleZaloCall(metrics) {
+    const sample = {};
+    if (metrics.includes('memory')) {
+        sample.memory = await checkZaloMemory();
+    }
+    if (metrics.includes('cpu')) {
+        sample.cpu = await checkZaloCPU();
+    }
+    return sample;
 }
 
-async function checkZaloCallStatusCPU() {
-    const cpu = await checkZaloCPU();
-    const isInCall = cpu > 3;
-    return { isInCall, cpu };
+/**
+ * Mô tả mẫu để ghi log, ví dụ: "Memory: 120000 KB (threshold: 100000 KB), CPU: 5% (threshold: 3%)"
+ */
+function describeCallSample(sample) {
+    const parts = [];
+    if (sample.memory !== undefined) {
+        parts.push(`Memory: ${sample.memory} KB (threshold: ${appConfig.MEMORY_CALL_THRESHOLD_KB} KB)`);
+    }
+    if (sample.cpu !== undefined) {
+        parts.push(`CPU: ${sample.cpu}% (threshold: ${appConfig.CPU_CALL_THRESHOLD_PERCENT}%)`);
+    }
+    return parts.join(', ');
 }
 
-async function checkZaloCallStatusMemory() {
-    const memory = await checkZaloMemory();
-    const isInCall = memory > MEMORY_CALL_THRESHOLD_KB;
-    return { isInCall, memory };
+/**
+ * Tham số phát hiện cuộc gọi hiện tại (áp dụng lại mỗi khi config thay đổi)
+ */
+function getCallDetectorOptions() {
+    return {
+        strategy: appConfig.CALL_DETECTION_STRATEGY,
+        startSamples: appConfig.CALL_START_SAMPLES,
+        stopGraceMs: appConfig.CALL_STOP_GRACE_MS
+    };
 }
 
+const callDetector = createCallDetector({
+    ...getCallDetectorOptions(),
+    getThresholds: () => ({
+        memoryKB: appConfig.MEMORY_CALL_THRESHOLD_KB,
+        cpuPercent: appConfig.CPU_CALL_THRESHOLD_PERCENT
+    }),
+    logger
+});
+
 let isRecording = false;
+let isCalibrating = false;
+// Trạng thái Zalo lần kiểm tra trước (null = chưa biết), dùng để bật/tắt pre-roll
+let lastZaloRunning = null;
 let monitoringInterval;
 let clipboardEventStarted = false;
 let lastClipboardText = '';
+// Số điện thoại hợp lệ được copy gần nhất: { phoneNumber, copiedAt }
+let lastCopiedPhone = null;
 let versionCheckInterval = null;
+let lastMonitoringLoopAt = 0;
+// Lần restart trước do cập nhật/rollback (đọc từ file handoff): { reason, fromVersion, at }
+let lastRelaunch = null;
 
-async function startMonitoring() {
-    let loopCount = 0;
-    monitoringInterval = setInterval(async () => {
-        // call api hearbeat
-        loopCount++;
-        callApiHeartbeat(loopCount);
-        const loopStartTime = Date.now();
-        
-        try {
-            const zaloRunning = await isZaloRunning();
-            
-            if (!zaloRunning) {
-                if (isRecording) {
-                    mainWindow.webContents.send('stop-recording');
-                    isRecording = false;
-                }
-                return;
-            }
-
-            const callStatus = await checkZaloCallStatusMemory();
-
-            if (callStatus.isInCall && !isRecording) {
-                console.log(`[START] ZaloCall is in call, starting recording - Memory: ${callStatus.memory} KB (threshold: ${MEMORY_CALL_THRESHOLD_KB} KB)`);
-                mainWindow.webContents.send('start-recording');
-                isRecording = true;
-            }
+/* --------------------------------------------------
+   7.4. Call Session - Thông tin của từng cuộc gọi đang/đã ghi
+-------------------------------------------------- */
 
-            if (!callStatus.isInCall && isRecording) {
-                console.log(`[STOP] ZaloCall is not in call, stopping recording - Memory: ${callStatus.memory} KB (threshold: ${MEMORY_CALL_THRESHOLD_KB} KB)`);
-                mainWindow.webContents.send('stop-recording');
-                isRecording = false;
-            }
+// recordingId -> { recordingId, startedAt, endedAt, phoneNumber, phoneCopiedAt, startMetrics, stopMetrics }
+const callSessions = new Map();
+let currentCallSession = null;
 
-            // Log memory trong quá trình ghi âm
-            if (isRecording && loopCount % 100 === 0) {
-                console.log(`[RECORDING] ZaloCall memory: ${callStatus.memory} KB (threshold: ${MEMORY_CALL_THRESHOLD_KB} KB)`);
-            }
-        } catch (error) {
-            console.error('Monitoring loop error:', error);
-        } finally {
-            const loopDuration = Date.now() - loopStartTime;
-            if (loopDuration > 100 && loopCount % 1200 === 0) {
-                console.error(`Warning: Loop took ${loopDuration}ms (should be < 100ms)`);
-            }
-        }
-    }, 3000);
+/**
+ * Khoảng thời gian (ms) trước khi bắt đầu cuộc gọi mà số điện thoại được copy vẫn được gắn vào cuộc gọi
+ */
+function getPhoneLinkWindowMs() {
+    return appConfig.PHONE_LINK_WINDOW_MS;
 }
 
-function checkZaloCPU() {
-    return new Promise((resolve) => {
-        exec('typeperf "\\Process(ZaloCall)\\% Processor Time" -sc 1', {
-            shell: process.platform === 'win32' ? 'cmd.exe' : '/bin/sh',
-            env: getCleanEnv()
-        }, (error, stdout) => {
-            if (error) {
-                resolve(0);
-                return;
-            }
-
-            const lines = stdout.trim().split('\n');
-            if (lines.length >= 3) {
-                const lastLine = lines[1].replace(/"/g, '');
-                const parts = lastLine.split(',');
-                const cpu = parseFloat(parts[1]) || 0;
-                resolve(cpu);
-            } else {
-                resolve(0);
-            }
-        });
-    });
+/**
+ * Gắn số điện thoại vào phiên cuộc gọi. Số đã gắn thì không dùng lại cho cuộc gọi sau
+ * (và không được chuyển qua lần restart).
+ */
+function linkPhoneToSession(session, phone) {
+    session.phoneNumber = phone.phoneNumber;
+    session.phoneCopiedAt = phone.copiedAt;
+    if (lastCopiedPhone === phone) {
+        lastCopiedPhone = null;
+    }
+    logger.info(`[CALL] Linked phone number ${phone.phoneNumber} to recording ${session.recordingId}`);
 }
 
-function checkZaloMemory() {
-    return new Promise((resolve) => {
-        exec('tasklist /fi "imagename eq ZaloCall.exe"', {
-            shell: process.platform === 'win32' ? 'cmd.exe' : '/bin/sh',
-            env: getCleanEnv()
-        }, (error, stdout, stderr) => {
-            if (error) {
-                // Chỉ log lỗi, không spam
-                if (error.code !== 1) { // code 1 là "not found", không phải lỗi thực sự
-                    console.error('checkZaloMemory error executing tasklist:', error.message);
-                    if (stderr) {
-                        console.error('checkZaloMemory stderr error:', stderr);
-                    }
-                }
-                resolve(0);
-                return;
+/**
+ * Gửi lệnh cho renderer, bỏ qua nếu cửa sổ đã bị đóng (ví dụ lúc tắt app)
+ * @returns {boolean} False nếu không gửi được
+ */
+function sendToRenderer(channel, ...args) {
+    if (!mainWindow || mainWindow.isDestroyed()) {
+        logger.warn(`[IPC] Window is closed, ${channel} not sent`);
+        return false;
+    }
+    mainWindow.webContents.send(channel, ...args);
+    return true;
+}
+
+/**
+ * Bắt đầu ghi âm: tạo phiên cuộc gọi mới và gửi lệnh start-recording cho renderer
+ * @returns {object} Phiên cuộc gọi
+ */
+function startCallRecording({ manual = false } = {}) {
+    const now = Date.now();
+
+    // Dọn các phiên đã kết thúc lâu mà renderer không upload (không có audio)
+    for (const [id, session] of callSessions) {
+        if (session.endedAt && now - session.endedAt > 3600000) {
+            callSessions.delete(id);
+        }
+    }
+
+    const session = {
+        recordingId: createRecordingId(),
+        startedAt: now,
+        endedAt: null,
+        phoneNumber: null,
+        phoneCopiedAt: null,
+        startMetrics: null,
+        stopMetrics: null,
+        // Bắt đầu thủ công từ tray: không tự dừng theo phát hiện cuộc gọi
+        manual
+    };
+    if (lastCopiedPhone && now - lastCopiedPhone.copiedAt <= getPhoneLinkWindowMs()) {
+        linkPhoneToSession(session, lastCopiedPhone);
+    }
+    callSessions.set(session.recordingId, session);
+    currentCallSession = session;
+
+    sendToRenderer('start-recording', { recordingId: session.recordingId });
+    isRecording = true;
+    recordSessionMetrics(session, 'startMetrics');
+    return session;
+}
+
+/**
+ * Lấy memory/CPU của ZaloCall để lưu vào metadata (chạy nền, không làm chậm việc ghi âm)
+ */
+function recordSessionMetrics(session, field) {
+    sampleZaloCall(['memory', 'cpu'])
+        .then((metrics) => {
+            session[field] = { ...metrics, sampled_at: Date.now() };
+        })
+        .catch((error) => {
+            logger.error('recordSessionMetrics error:', error.message);
+        });
+}
+
+/**
+ * Phiên hiện tại được bắt đầu thủ công (tray) hay không
+ */
+function isManualRecording() {
+    return !!currentCallSession?.manual;
+}
+
+/**
+ * Dừng ghi âm: kết thúc phiên hiện tại và gửi lệnh stop-recording cho renderer
+ */
+function stopCallRecording() {
+    let recordingId = null;
+    if (currentCallSession) {
+        recordingId = currentCallSession.recordingId;
+        currentCallSession.endedAt = Date.now();
+        finishingRecordings.set(recordingId, currentCallSession.endedAt);
+        recordSessionMetrics(currentCallSession, 'stopMetrics');
+        currentCallSession = null;
+    }
+    sendToRenderer('stop-recording', { recordingId });
+    isRecording = false;
+}
+
+let monitoringLoopCount = 0;
+
+/**
+ * Bắt đầu vòng lặp phát hiện cuộc gọi theo CALL_CHECK_INTERVAL_MS
+ */
+function startMonitoring() {
+    monitoringInterval = setInterval(runMonitoringLoop, appConfig.CALL_CHECK_INTERVAL_MS);
+}
+
+/**
+ * Chạy lại vòng lặp với CALL_CHECK_INTERVAL_MS mới (không làm gì nếu monitoring đang dừng)
+ */
+function restartMonitoring() {
+    if (!monitoringInterval) {
+        return;
+    }
+    clearInterval(monitoringInterval);
+    startMonitoring();
+    logger.info(`[CONFIG] Call check interval is now ${appConfig.CALL_CHECK_INTERVAL_MS} ms`);
+}
+
+/**
+ * Một lượt kiểm tra Zalo/ZaloCall: bật/tắt pre-roll, bắt đầu/dừng ghi âm
+ */
+async function runMonitoringLoop() {
+    const loopCount = ++monitoringLoopCount;
+    lastMonitoringLoopAt = Date.now();
+    const loopStartTime = Date.now();
+    
+    // Tạm dừng phát hiện cuộc gọi trong khi hiệu chỉnh ngưỡng
+    if (isCalibrating) {
+        return;
+    }
+    
+    try {
+        const zaloRunning = await isZaloRunning();
+        
+        // Bật pre-roll khi Zalo mở, tắt khi Zalo đóng
+        if (zaloRunning !== lastZaloRunning) {
+            lastZaloRunning = zaloRunning;
+            if (getPrerollSeconds() > 0) {
+                sendToRenderer(zaloRunning ? 'preroll-start' : 'preroll-stop');
             }
-            
-            const lines = stdout.split('\n');
-            
-            if (!lines.length) {
-                // Không log để tránh spam khi ZaloCall chưa chạy
-                resolve(0);
-                return;
+        }
+        
+        if (!zaloRunning) {
+            callDetector.reset();
+            if (isRecording && !isManualRecording()) {
+                logger.info('[STOP] Zalo is not running, stopping recording');
+                stopCallRecording();
             }
+            return;
+        }
 
-            const line = lines.find(l => l.toLowerCase().includes("zalocall.exe"));
-            if (!line) {
-                // Không log để tránh spam khi ZaloCall chưa chạy
-                resolve(0);
-                return;
+        const sample = await sampleZaloCall(callDetector.metrics);
+        const action = callDetector.update(sample);
+
+        if (action === 'start' && !isRecording) {
+            if (await ensureDiskSpace('start-recording')) {
+                logger.info(`[START] ZaloCall is in call (strategy: ${callDetector.strategy}), starting recording - ${describeCallSample(sample)}`);
+                startCallRecording();
+            } else {
+                logger.error(`[START] ZaloCall is in call but only ${formatMegabytes(diskStatus.freeBytes)} MB disk space is free, recording not started`);
             }
+        }
 
-            const parts = line.trim().split(/\s+/);
-            const memUsageStr = parts.slice(4).join(" ");
+        if (action === 'stop' && isRecording && !isManualRecording()) {
+            logger.info(`[STOP] ZaloCall is not in call (strategy: ${callDetector.strategy}), stopping recording - ${describeCallSample(sample)}`);
+            stopCallRecording();
+        }
 
-            const memKB = parseInt(memUsageStr.replace(/[,K]/gi, ""));
-            
-            if (isNaN(memKB)) {
-                console.error('checkZaloMemory: Line:', line);
-                console.error('checkZaloMemory: Failed to parse memory value:', memUsageStr);
-                resolve(0);
-                return;
-            }
-            
-            // Chỉ log khi có giá trị memory (ZaloCall đang chạy)
-            // Log sẽ được gọi từ monitoring loop khi cần
-            resolve(memKB);
-        });
+        // Log chỉ số trong quá trình ghi âm
+        if (isRecording && loopCount % 100 === 0) {
+            logger.info(`[RECORDING] ZaloCall ${describeCallSample(sample)}`);
+        }
+    } catch (error) {
+        logger.error('Monitoring loop error:', error);
+    } finally {
+        const loopDuration = Date.now() - loopStartTime;
+        if (loopDuration > 100 && loopCount % 1200 === 0) {
+            logger.error(`Warning: Loop took ${loopDuration}ms (should be < 100ms)`);
+        }
+    }
+}
+
+/* --------------------------------------------------
+   7.3. Calibration - Hiệu chỉnh MEMORY_CALL_THRESHOLD_KB
+-------------------------------------------------- */
+
+/**
+ * Hiển thị hộp thoại hỏi người dùng, trả về true nếu chọn OK
+ */
+async function confirmCalibrationStep(message, detail) {
+    const { response } = await dialog.showMessageBox({
+        type: 'info',
+        title: 'Hiệu chỉnh ngưỡng cuộc gọi',
+        message,
+        detail,
+        buttons: ['OK', 'Hủy'],
+        defaultId: 0,
+        cancelId: 1
     });
+    return response === 0;
 }
 
 /**
- * Check version của renderer.js từ GitLab và reload nếu có version mới
- * @returns {Promise<boolean>} True nếu đã reload
+ * Chạy chế độ hiệu chỉnh: lấy mẫu memory/CPU của ZaloCall lúc rảnh và lúc đang gọi thử,
+ * tính ngưỡng đề xuất rồi ghi MEMORY_CALL_THRESHOLD_KB vào config.txt.
+ * Khởi động bằng tham số dòng lệnh --calibrate.
+ * @returns {Promise<boolean>} True nếu đã ghi ngưỡng mới
  */
-async function checkAndUpdateRendererJs() {
-    if (!appConfig.GITLAB_REPO_URL || !appConfig.REMOTE_CODE_ENABLED) {
+async function runThresholdCalibration() {
+    if (isCalibrating) {
+        return false;
+    }
+    if (isRecording) {
+        dialog.showErrorBox('Hiệu chỉnh ngưỡng cuộc gọi', 'Đang ghi âm cuộc gọi, vui lòng thử lại sau khi cuộc gọi kết thúc.');
         return false;
     }
 
-    const cacheRendererJs = path.join(CODE_CACHE_DIR, 'renderer.js');
-    const versionFile = path.join(CODE_CACHE_DIR, 'app.version');
+    const sampleCount = appConfig.CALIBRATION_SAMPLES;
+    const intervalMs = appConfig.CALIBRATION_INTERVAL_MS;
+    const durationSeconds = Math.round(sampleCount * intervalMs / 1000);
+    const sample = () => sampleZaloCall(['memory', 'cpu']);
 
+    isCalibrating = true;
     try {
-        // Lấy version từ GitLab package.json
-        const remoteVersion = await getVersionFromGitLab();
-        
-        if (!remoteVersion) {
+        logger.info('[CALIBRATION] Started');
+
+        if (!await confirmCalibrationStep(
+            'Bước 1/2: Đo lúc không có cuộc gọi',
+            `Mở Zalo nhưng KHÔNG thực hiện cuộc gọi nào, sau đó bấm OK. Quá trình đo mất khoảng ${durationSeconds} giây.`
+        )) {
             return false;
         }
+        const idleSamples = await collectSamples(sample, sampleCount, intervalMs);
 
-        // Đọc local version nếu có
-        let localVersion = null;
-        if (fs.existsSync(versionFile)) {
-            localVersion = fs.readFileSync(versionFile, 'utf8').trim();
+        if (!await confirmCalibrationStep(
+            'Bước 2/2: Đo trong cuộc gọi thử',
+            `Thực hiện một cuộc gọi Zalo thử, bấm OK khi cuộc gọi đã kết nối và giữ máy khoảng ${durationSeconds} giây.`
+        )) {
+            return false;
         }
+        const callSamples = await collectSamples(sample, sampleCount, intervalMs);
 
-        // Nếu version khác, download và reload
-        if (remoteVersion !== localVersion) {
-            console.log(`[UPDATE] New renderer.js version detected: ${remoteVersion} (current: ${localVersion || 'none'})`);
-            
-            const downloadSuccess = await downloadFileFromGitLab('renderer.js', cacheRendererJs);
-            
-            if (downloadSuccess) {
-                // Lưu version
-                fs.writeFileSync(versionFile, remoteVersion, 'utf8');
-                console.log('[UPDATE] renderer.js updated successfully from GitLab, reloading window...');
-                
-                // Reload window với code mới
-                if (mainWindow && !mainWindow.isDestroyed()) {
-                    const rendererJsContent = fs.readFileSync(cacheRendererJs, 'utf8');
-                    const htmlPath = path.join(__dirname, 'index.html');
-                    let htmlContent = fs.readFileSync(htmlPath, 'utf8');
-                    htmlContent = htmlContent.replace(
-                        /<script src="renderer\.js"><\/script>/,
-                        `<script>${rendererJsContent}</script>`
-                    );
-                    const tempHtmlPath = path.join(CODE_CACHE_DIR, 'index.html');
-                    fs.writeFileSync(tempHtmlPath, htmlContent, 'utf8');
-                    mainWindow.loadFile(tempHtmlPath);
-                }
-                
-                return true;
-            }
+        const memoryResult = computeRecommendedThreshold(
+            idleSamples.map(s => s.memory),
+            callSamples.map(s => s.memory)
+        );
+        const cpuResult = computeRecommendedThreshold(
+            idleSamples.map(s => s.cpu),
+            callSamples.map(s => s.cpu)
+        );
+        logger.info('[CALIBRATION] Memory result:', memoryResult);
+        logger.info('[CALIBRATION] CPU result:', cpuResult);
+
+        if (!memoryResult.ok) {
+            dialog.showErrorBox(
+                'Hiệu chỉnh ngưỡng cuộc gọi',
+                `Không tính được ngưỡng: ${memoryResult.reason}\n` +
+                `Memory lúc rảnh (cao nhất): ${memoryResult.idleHigh} KB\n` +
+                `Memory lúc gọi (thấp): ${memoryResult.callLow} KB`
+            );
+            return false;
+        }
+
+        const save = await confirmCalibrationStep(
+            `Ngưỡng đề xuất: ${memoryResult.threshold} KB`,
+            `Memory lúc rảnh (cao nhất): ${memoryResult.idleHigh} KB\n` +
+            `Memory lúc gọi (thấp): ${memoryResult.callLow} KB\n` +
+            `Ngưỡng hiện tại: ${appConfig.MEMORY_CALL_THRESHOLD_KB} KB\n\n` +
+            'Bấm OK để lưu vào config.txt.'
+        );
+        if (!save) {
+            return false;
+        }
+
+        writeConfigValue(getInstallConfigPath(), 'MEMORY_CALL_THRESHOLD_KB', memoryResult.threshold);
+        configStore.load();
+        logger.info(`[CALIBRATION] Saved MEMORY_CALL_THRESHOLD_KB=${memoryResult.threshold}`);
+        // Cấu hình từ server/biến môi trường được ưu tiên hơn config.txt
+        const source = configStore.getSource('MEMORY_CALL_THRESHOLD_KB');
+        if (source !== 'config.txt') {
+            logger.warn(`[CALIBRATION] MEMORY_CALL_THRESHOLD_KB is set by ${source} (${appConfig.MEMORY_CALL_THRESHOLD_KB} KB), the calibrated value is not used`);
+            dialog.showErrorBox(
+                'Hiệu chỉnh ngưỡng cuộc gọi',
+                `Đã lưu ${memoryResult.threshold} KB vào config.txt, nhưng ngưỡng đang được đặt bởi ${source} ` +
+                `(${appConfig.MEMORY_CALL_THRESHOLD_KB} KB) nên giá trị mới chưa có hiệu lực.`
+            );
+        }
+        return true;
+    } catch (error) {
+        logger.error('runThresholdCalibration error:', error.message);
+        dialog.showErrorBox('Hiệu chỉnh ngưỡng cuộc gọi', `Lỗi: ${error.message}`);
+        return false;
+    } finally {
+        isCalibrating = false;
+        callDetector.reset();
+    }
+}
+
+/**
+ * Cập nhật khi version mới chỉ thay đổi renderer.js: cài và reload window khi máy rảnh
+ * @returns {Promise<boolean>} True nếu đã reload
+ */
+async function checkAndUpdateRendererJs() {
+    if (!appConfig.GITLAB_REPO_URL || !appConfig.REMOTE_CODE_ENABLED) {
+        return false;
+    }
+
+    try {
+        const update = await prepareCodeUpdate();
+        if (!update || update.mainChanged) {
+            return false;
         }
+        const { version } = update;
+        return runWhenIdle(`renderer reload for version ${version}`, () => {
+            if (!isUpdateStaged(version)) {
+                return;
+            }
+            installStagedUpdate();
+            logger.info(`[UPDATE] renderer.js ${version} installed, reloading window...`);
+
+            // Reload window với code mới
+            if (mainWindow && !mainWindow.isDestroyed()) {
+                loadRendererIntoWindow(path.join(CODE_CACHE_DIR, 'renderer.js'));
+            }
+            scheduleUpdateHealthCheck();
+        });
     } catch (error) {
-        console.error('checkAndUpdateRendererJs error:', error.message);
+        logger.error('checkAndUpdateRendererJs error:', error.message);
     }
     
     return false;
 }
 
 /**
- * Check version của main.js từ GitLab và restart app nếu có version mới
- * @returns {Promise<boolean>} True nếu cần restart
+ * Cập nhật khi version mới thay đổi main.js: cài và restart app khi máy rảnh
+ * (version cũ được giữ lại, health check sau khi khởi động sẽ rollback nếu lỗi)
+ * @returns {Promise<boolean>} True nếu đã có bản cập nhật (restart ngay hoặc đang chờ)
  */
 async function checkAndUpdateMainJs() {
     if (!appConfig.GITLAB_REPO_URL || !appConfig.REMOTE_CODE_ENABLED) {
         return false;
     }
 
-    const CACHE_DIR = app.isPackaged
-        ? path.join(app.getPath('userData'), 'code-cache')
-        : path.join(__dirname, '../code-cache');
-    const cacheMainJs = path.join(CACHE_DIR, 'main.js');
-    const cacheRendererJs = path.join(CODE_CACHE_DIR, 'renderer.js');
-    const versionFile = path.join(CACHE_DIR, 'app.version');
-
     try {
-        // Lấy version từ GitLab package.json
-        const remoteVersion = await getVersionFromGitLab();
-        
-        if (!remoteVersion) {
+        const update = await prepareCodeUpdate();
+        if (!update || !update.mainChanged) {
             return false;
         }
+        const { version } = update;
+        runWhenIdle(`restart for version ${version}`, () => {
+            if (!isUpdateStaged(version)) {
+                return;
+            }
+            installStagedUpdate();
+            logger.info(`[UPDATE] main.js and renderer.js ${version} installed, restarting app...`);
+            relaunchApp('update');
+        });
+        return true;
+    } catch (error) {
+        logger.error('checkAndUpdateMainJs error:', error.message);
+    }
+    
+    return false;
+}
+
+/**
+ * Bản cập nhật `version` vẫn còn nguyên trong staging (chưa bị thay bằng version mới hơn)
+ */
+function isUpdateStaged(version) {
+    return !!stagedUpdate && stagedUpdate.version === version && fs.existsSync(CODE_STAGING_DIR);
+}
+
+/**
+ * Health check sau khi cập nhật: vòng lặp monitoring đang chạy và renderer đã load
+ * @returns {{ok: boolean, reason?: string}}
+ */
+function checkUpdateHealth() {
+    if (!monitoringInterval || Date.now() - lastMonitoringLoopAt > Math.max(15000, appConfig.CALL_CHECK_INTERVAL_MS * 3)) {
+        return { ok: false, reason: 'monitoring loop is not running' };
+    }
+    if (!rendererLoaded) {
+        return { ok: false, reason: 'renderer did not load' };
+    }
+    return { ok: true };
+}
+
+/**
+ * Nếu đang chạy version vừa cập nhật, kiểm tra sức khỏe sau một khoảng thời gian;
+ * lỗi thì rollback về version trước và restart
+ */
+function scheduleUpdateHealthCheck() {
+    if (!appConfig.REMOTE_CODE_ENABLED || !updateManager.isPending()) {
+        return;
+    }
+    setTimeout(() => {
+        if (!updateManager.isPending()) {
+            return;
+        }
+        const { ok, reason } = checkUpdateHealth();
+        if (ok) {
+            updateManager.markHealthy();
+            return;
+        }
+        updateManager.rollback(`health check failed: ${reason}`);
+        runWhenIdle('restart after rollback', () => relaunchApp('rollback'));
+    }, appConfig.UPDATE_HEALTH_CHECK_DELAY_MS);
+}
+
+/* --------------------------------------------------
+   7.6. Deferred Update - Chỉ restart/reload khi không ghi âm và không upload
+-------------------------------------------------- */
+
+// Bản ghi đã dừng nhưng renderer chưa lưu/đưa vào hàng đợi upload: recordingId -> thời điểm dừng
+const finishingRecordings = new Map();
+// Quá thời gian này mà renderer chưa gọi upload-file thì coi như bản ghi đã bị bỏ (không có audio)
+const FINISHING_RECORDING_TIMEOUT_MS = 300000;
+const RESUME_STATE_FILE = path.join(app.getPath('userData'), 'resume-state.json');
+
+// Thao tác đang chờ máy rảnh: { description, action, reason, since }
+let deferredAction = null;
+let deferredActionTimer = null;
 
-        // Đọc local version nếu có
-        let localVersion = null;
-        if (fs.existsSync(versionFile)) {
-            localVersion = fs.readFileSync(versionFile, 'utf8').trim();
+/**
+ * Lý do chưa thể restart/reload (null nếu máy đang rảnh)
+ * @returns {string|null}
+ */
+function getUpdateBlocker() {
+    if (isRecording || activeRecordings.size > 0) {
+        return 'recording in progress';
+    }
+    if (isCalibrating) {
+        return 'calibration in progress';
+    }
+    const now = Date.now();
+    for (const [recordingId, stoppedAt] of finishingRecordings) {
+        if (now - stoppedAt > FINISHING_RECORDING_TIMEOUT_MS) {
+            finishingRecordings.delete(recordingId);
         }
+    }
+    if (finishingRecordings.size > 0) {
+        return 'saving recording';
+    }
+    if (!uploadQueue.isIdle()) {
+        return 'upload in progress';
+    }
+    return null;
+}
 
-        // Nếu version khác, download và restart app
-        if (remoteVersion !== localVersion) {
-            console.log(`[UPDATE] New main.js version detected: ${remoteVersion} (current: ${localVersion || 'none'})`);
-            console.log('Downloading main.js and renderer.js from GitLab...');
-            
-            // Download cả main.js và renderer.js từ GitLab
-            const mainJsSuccess = await downloadFileFromGitLab('main.js', cacheMainJs);
-            const rendererJsSuccess = await downloadFileFromGitLab('renderer.js', cacheRendererJs);
-            
-            if (mainJsSuccess && rendererJsSuccess) {
-                // Lưu version
-                fs.writeFileSync(versionFile, remoteVersion, 'utf8');
-                // Lưu version cho renderer cũng
-                fs.writeFileSync(path.join(CODE_CACHE_DIR, 'app.version'), remoteVersion, 'utf8');
-                console.log('[UPDATE] main.js and renderer.js updated successfully from GitLab, restarting app...');
-                
-                // Restart app sau 2 giây
-                setTimeout(() => {
-                    app.relaunch();
-                    app.exit(0);
-                }, 2000);
-                
-                return true;
-            } else {
-                console.error('[UPDATE] Failed to download some files from GitLab');
-            }
+/**
+ * Chạy `action` ngay nếu máy rảnh, ngược lại hoãn lại và thử lại mỗi 5 giây.
+ * Chỉ giữ một thao tác: thao tác mới thay thế thao tác đang chờ.
+ * @param {string} description - Mô tả để log/báo cáo (ví dụ "restart for version 1.2.0")
+ * @param {function} action
+ * @returns {boolean} True nếu đã chạy ngay
+ */
+function runWhenIdle(description, action) {
+    if (deferredAction && deferredAction.description === description) {
+        deferredAction.action = action;
+    } else {
+        deferredAction = { description, action, reason: null, since: Date.now() };
+    }
+    return runDeferredAction();
+}
+
+function runDeferredAction() {
+    if (!deferredAction) {
+        return false;
+    }
+    const blocker = getUpdateBlocker();
+    if (blocker) {
+        if (blocker !== deferredAction.reason) {
+            logger.info(`[UPDATE] Deferring ${deferredAction.description}: ${blocker}`);
+            deferredAction.reason = blocker;
+        }
+        if (!deferredActionTimer) {
+            deferredActionTimer = setInterval(runDeferredAction, 5000);
         }
+        return false;
+    }
+
+    const { description, action, reason, since } = deferredAction;
+    clearDeferredAction();
+    if (reason) {
+        logger.info(`[UPDATE] Running deferred ${description} after ${Math.round((Date.now() - since) / 1000)}s`);
+    }
+    try {
+        action();
     } catch (error) {
-        console.error('checkAndUpdateMainJs error:', error.message);
+        logger.error(`[UPDATE] ${description} failed:`, error.message);
     }
-    
-    return false;
+    return true;
+}
+
+function clearDeferredAction() {
+    if (deferredActionTimer) {
+        clearInterval(deferredActionTimer);
+        deferredActionTimer = null;
+    }
+    deferredAction = null;
+}
+
+/**
+ * Thông tin thao tác đang chờ để báo cáo (heartbeat, local API)
+ */
+function describeDeferredAction() {
+    if (!deferredAction) {
+        return null;
+    }
+    return {
+        action: deferredAction.description,
+        reason: deferredAction.reason,
+        deferredSince: new Date(deferredAction.since).toISOString()
+    };
+}
+
+/**
+ * Restart app. Ghi file handoff để lần khởi động sau tiếp tục theo dõi cuộc gọi
+ * với trạng thái hiện tại (số điện thoại vừa copy...).
+ * @param {string} reason - update | rollback
+ */
+function relaunchApp(reason) {
+    // Dừng phát hiện cuộc gọi để không bắt đầu ghi âm mới trong lúc chờ restart
+    if (monitoringInterval) {
+        clearInterval(monitoringInterval);
+        monitoringInterval = null;
+    }
+    try {
+        const tempFile = `${RESUME_STATE_FILE}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify({
+            reason,
+            fromVersion: getCodeVersion() || app.getVersion(),
+            writtenAt: Date.now(),
+            lastCopiedPhone
+        }, null, 2), 'utf8');
+        fs.renameSync(tempFile, RESUME_STATE_FILE);
+    } catch (error) {
+        logger.error('relaunchApp: Failed to write resume state:', error.message);
+    }
+
+    // Restart app sau 2 giây
+    setTimeout(() => {
+        recordingCatalog.flush();
+        app.relaunch();
+        app.exit(0);
+    }, 2000);
+}
+
+/**
+ * Đọc (và xóa) file handoff của lần restart trước
+ * @returns {object|null}
+ */
+function consumeResumeState() {
+    let state = null;
+    try {
+        state = JSON.parse(fs.readFileSync(RESUME_STATE_FILE, 'utf8'));
+    } catch {}
+    try {
+        fs.rmSync(RESUME_STATE_FILE, { force: true });
+    } catch {}
+    // File quá cũ (app bị tắt hẳn sau khi ghi) thì bỏ qua
+    if (!state || Date.now() - state.writtenAt > 600000) {
+        return null;
+    }
+    return state;
+}
+
+/**
+ * Tiếp tục từ lần restart trước (cập nhật/rollback)
+ */
+function resumeAfterRelaunch() {
+    const state = consumeResumeState();
+    if (!state) {
+        return;
+    }
+    lastRelaunch = { reason: state.reason, fromVersion: state.fromVersion, at: state.writtenAt };
+    if (state.lastCopiedPhone && Date.now() - state.lastCopiedPhone.copiedAt <= getPhoneLinkWindowMs()) {
+        lastCopiedPhone = state.lastCopiedPhone;
+    }
+    logger.info(`[RESUME] Relaunched after ${state.reason} (from ${state.fromVersion} to ${getCodeVersion() || app.getVersion()}), resuming monitoring`);
 }
 
 /**
@@ -816,7 +1262,7 @@ function startVersionCheck() {
         return;
     }
 
-    const checkInterval = appConfig.REMOTE_CODE_CHECK_INTERVAL_MS || 300000; // Mặc định 5 phút
+    const checkInterval = appConfig.REMOTE_CODE_CHECK_INTERVAL_MS;
 
     versionCheckInterval = setInterval(async () => {
         try {
@@ -830,11 +1276,11 @@ function startVersionCheck() {
             // Check renderer.js version (sẽ reload window nếu có version mới)
             await checkAndUpdateRendererJs();
         } catch (error) {
-            console.error('Version check error:', error.message);
+            logger.error('Version check error:', error.message);
         }
     }, checkInterval);
 
-    console.log(`[VERSION CHECK] Started auto-check every ${checkInterval / 1000} seconds`);
+    logger.info(`[VERSION CHECK] Started auto-check every ${checkInterval / 1000} seconds`);
 }
 
 /**
@@ -855,44 +1301,147 @@ ipcMain.handle('get-sources', async () => {
     return sources;
 });
 
-// Convert WebM to MP3 using FFmpeg
-function convertToMP3(inputPath, outputPath) {
-    // Kiểm tra input file
-    if (!fs.existsSync(inputPath)) {
-        const error = new Error(`Input file not found: ${inputPath}`);
-        console.error('convertToMP3: ERROR -', error.message);
-        return Promise.reject(error);
-    }
-    
-    try {
-        const inputStats = fs.statSync(inputPath);
-        if (inputStats.size === 0) {
-            const error = new Error('Input file is empty');
-            console.error('convertToMP3: ERROR -', error.message);
-            return Promise.reject(error);
-        }
-    } catch (err) {
-        console.error('convertToMP3 catch error checking input file:', err.message);
-        return Promise.reject(err);
+/**
+ * Số giây audio giữ lại trước khi phát hiện cuộc gọi (0 = tắt pre-roll).
+ * Mặc định: cuộc gọi chỉ được xác nhận sau CALL_START_SAMPLES lần kiểm tra, và có thể đã bắt đầu
+ * ngay sau lần kiểm tra trước đó, nên pre-roll = (CALL_START_SAMPLES + 1) × CALL_CHECK_INTERVAL_MS
+ */
+function getPrerollSeconds() {
+    if (appConfig.PREROLL_SECONDS !== undefined) {
+        return appConfig.PREROLL_SECONDS;
     }
-    
-    // Kiểm tra FFmpeg
-    if (!fs.existsSync(FFMPEG_PATH)) {
-        const error = new Error(`FFmpeg not found: ${FFMPEG_PATH}`);
-        console.error('convertToMP3 catch error:', error.message);
-        return Promise.reject(error);
+    return (appConfig.CALL_START_SAMPLES + 1) * appConfig.CALL_CHECK_INTERVAL_MS / 1000;
+}
+
+ipcMain.handle('get-recording-options', async () => {
+    return {
+        // 'mixed': mix mic + system audio, 'split': mic kênh trái, system audio kênh phải
+        channelLayout: appConfig.RECORDING_CHANNEL_LAYOUT === 'split' ? 'split' : 'mixed',
+        prerollSeconds: getPrerollSeconds()
+    };
+});
+
+/**
+ * Định dạng output hiện tại (OUTPUT_FORMAT, OUTPUT_BITRATE, OUTPUT_SAMPLE_RATE, OUTPUT_CHANNELS)
+ */
+function getOutputFormat() {
+    return resolveOutputFormat(appConfig, logger);
+}
+
+/**
+ * Tham số input của FFmpeg: file WebM (kèm file WAV pre-roll nối vào trước nếu có) và chuỗi filter
+ * @returns {string[]}
+ */
+function buildInputArgs(inputPath, prerollPath, filters) {
+    const filterChain = filters.join(',');
+    if (prerollPath) {
+        // Có pre-roll: nối file WAV pre-roll vào trước bản ghi chính, sau đó mới áp dụng filter
+        const concat = '[0:a]aformat=sample_rates=48000:channel_layouts=stereo[a0];[1:a]aformat=sample_rates=48000:channel_layouts=stereo[a1];[a0][a1]concat=n=2:v=0:a=1';
+        const graph = filterChain ? `${concat}[joined];[joined]${filterChain}[out]` : `${concat}[out]`;
+        return ['-i', prerollPath, '-i', inputPath, '-filter_complex', graph, '-map', '[out]'];
+    }
+    return filterChain ? ['-i', inputPath, '-af', filterChain] : ['-i', inputPath];
+}
+
+/**
+ * Thời lượng file WAV pre-roll (header 44 byte do renderer ghi)
+ * @param {string|null} filePath
+ * @returns {number} ms, 0 nếu không có/không đọc được
+ */
+function getWavDurationMs(filePath) {
+    if (!filePath) {
+        return 0;
+    }
+    try {
+        const buffer = fs.readFileSync(filePath);
+        const byteRate = buffer.readUInt32LE(28);
+        return byteRate > 0 ? Math.round(Math.max(0, buffer.length - 44) / byteRate * 1000) : 0;
+    } catch {
+        return 0;
+    }
+}
+
+/**
+ * Thời điểm bắt đầu/kết thúc của audio trong file sau khi cắt khoảng lặng
+ * (begin_time/end_time trong metadata phải khớp với audio)
+ * @returns {{beginTime: number, endTime: number}}
+ */
+function getAudioTimeRange(beginTime, endTime, trim) {
+    const { trimmed_start_ms: trimmedStartMs, trimmed_end_ms: trimmedEndMs } = getTrimmedMs(trim);
+    return {
+        beginTime: beginTime + trimmedStartMs,
+        endTime: endTime - trimmedEndMs
+    };
+}
+
+/**
+ * Dò khoảng lặng ở đầu/cuối bản ghi (lượt FFmpeg riêng, không encode) nếu bật AUDIO_TRIM_SILENCE_ENABLED
+ * @returns {Promise<object|null>} Vị trí cắt cho buildAudioFilterChain, null = không cắt
+ */
+function detectSilenceTrim(inputPath, { prerollPath = null } = {}) {
+    const filters = buildSilenceDetectFilters(appConfig);
+    if (!filters) {
+        return Promise.resolve(null);
+    }
+    const args = ['-hide_banner', ...buildInputArgs(inputPath, prerollPath, filters), '-vn', '-f', 'null', '-'];
+
+    return new Promise((resolve) => {
+        execFile(FFMPEG_PATH, args, {
+            env: getCleanEnv(),
+            maxBuffer: 10 * 1024 * 1024
+        }, (error, stdout, stderr) => {
+            const trim = error ? null : parseSilenceTrim(stderr);
+            if (!trim) {
+                // Không cắt được thì vẫn convert bình thường
+                logger.warn('detectSilenceTrim: Silence detection failed, skipping trim:', error?.message || 'no duration in output');
+            }
+            resolve(trim);
+        });
+    });
+}
+
+// Convert WebM sang định dạng output (mp3, opus/ogg, m4a, wav) using FFmpeg
+function convertRecording(inputPath, outputPath, { channelLayout = 'mixed', prerollPath = null, filters = [], metadata = null } = {}) {
+    // Kiểm tra input file
+    if (!fs.existsSync(inputPath)) {
+        const error = new Error(`Input file not found: ${inputPath}`);
+        logger.error('convertRecording: ERROR -', error.message);
+        return Promise.reject(error);
+    }
+    
+    try {
+        const inputStats = fs.statSync(inputPath);
+        if (inputStats.size === 0) {
+            const error = new Error('Input file is empty');
+            logger.error('convertRecording: ERROR -', error.message);
+            return Promise.reject(error);
+        }
+    } catch (err) {
+        logger.error('convertRecording catch error checking input file:', err.message);
+        return Promise.reject(err);
+    }
+    
+    // Kiểm tra FFmpeg
+    if (!fs.existsSync(FFMPEG_PATH)) {
+        const error = new Error(`FFmpeg not found: ${FFMPEG_PATH}`);
+        logger.error('convertRecording catch error:', error.message);
+        return Promise.reject(error);
     }
     
     return new Promise((resolve, reject) => {
-        const command = `"${FFMPEG_PATH}" -i "${inputPath}" -vn -ar 44100 -ac 2 -b:a 192k "${outputPath}"`;
+        const outputFormat = getOutputFormat();
+        const encoderArgs = buildEncoderArgs(outputFormat, { channelLayout });
+        // Nhúng metadata vào file (ID3/Vorbis/MP4 tags)
+        const metadataArgs = metadata ? buildMetadataArgs(buildMetadataTags(metadata), outputFormat.name) : [];
+        // execFile: đường dẫn và metadata được truyền nguyên vẹn, không qua shell
+        const args = ['-y', ...buildInputArgs(inputPath, prerollPath, filters), '-vn', ...encoderArgs, ...metadataArgs, outputPath];
         
-        exec(command, {
-            shell: process.platform === 'win32' ? 'cmd.exe' : '/bin/sh',
+        execFile(FFMPEG_PATH, args, {
             env: getCleanEnv(),
             maxBuffer: 10 * 1024 * 1024
         }, (error, stdout, stderr) => {
             if (error) {
-                console.error('convertToMP3: FFmpeg execution failed', error);
+                logger.error('convertRecording: FFmpeg execution failed', error);
                 reject(error);
                 return;
             }
@@ -903,18 +1452,18 @@ function convertToMP3(inputPath, outputPath) {
                     const outputStats = fs.statSync(outputPath);
                     if (outputStats.size === 0) {
                         const error = new Error('Output file is empty');
-                        console.error('convertToMP3: ERROR -', error.message);
+                        logger.error('convertRecording: ERROR -', error.message);
                         reject(error);
                         return;
                     }
                 } catch (err) {
-                    console.error('convertToMP3: Error checking output file:', err.message);
+                    logger.error('convertRecording: Error checking output file:', err.message);
                     reject(err);
                     return;
                 }
             } else {
                 const error = new Error('Output file was not created');
-                console.error('convertToMP3: ERROR -', error.message);
+                logger.error('convertRecording: ERROR -', error.message);
                 reject(error);
                 return;
             }
@@ -924,28 +1473,62 @@ function convertToMP3(inputPath, outputPath) {
     });
 }
 
-async function callApiHeartbeat(loopCount) {
-    try {
-        const responseData = await callApi(
-            appConfig.API_URL,
-            appConfig.HEARTBEAT_API,
-            'POST',
-            { is_online: true },
-            { 'x-api-token': appConfig.SALE_TOKEN },
-            10000,
-            false
-        );
-        if (!responseData?.success) {
-            console.error('callApiHeartbeat error:', responseData?.message || 'Unknown error');
-            return false;
-        }
-        return true;
-    } catch (error) {
-        console.error('callApiHeartbeat: ERROR -', error.message);
-        return false;
+/**
+ * Nội dung heartbeat: trạng thái máy, Zalo, ghi âm và upload
+ */
+async function buildHeartbeatPayload() {
+    const diskSpace = await refreshDiskStatus('heartbeat');
+    const jobs = uploadQueue.list();
+    return {
+        is_online: true,
+        device_id: DEVICE_ID,
+        name_code: getNameCode(),
+        app_version: app.getVersion(),
+        // Version ghi lại lúc load renderer.js vào cửa sổ (null nếu chưa load)
+        renderer_version: rendererVersion,
+        zalo_running: !!lastZaloRunning,
+        in_call: callDetector.isActive(),
+        is_recording: isRecording,
+        pending_uploads: uploadQueue.size(),
+        failed_uploads: jobs.filter(job => job.state === 'failed').length,
+        free_disk_bytes: diskSpace ? diskSpace.freeBytes : null,
+        total_disk_bytes: diskSpace ? diskSpace.totalBytes : null,
+        low_disk: !!diskSpace?.low,
+        recordings_bytes: lastRetention ? lastRetention.totalBytes : null,
+        last_error: lastLoggedError,
+        deferred_update: describeDeferredAction(),
+        code_signing_key_missing: isCodeSigningKeyMissing(),
+        last_relaunch: lastRelaunch,
+        uptime_seconds: Math.round(process.uptime())
+    };
+}
+
+async function callApiHeartbeat(payload) {
+    if (!appConfig.HEARTBEAT_API) {
+        return;
+    }
+    const responseData = await callApi(
+        appConfig.API_URL,
+        appConfig.HEARTBEAT_API,
+        'POST',
+        payload,
+        { 'x-api-token': appConfig.SALE_TOKEN },
+        10000,
+        false
+    );
+    if (!responseData?.success) {
+        throw new Error(responseData?.message || 'Unknown error');
     }
 }
 
+const heartbeat = createHeartbeat({
+    buildPayload: buildHeartbeatPayload,
+    send: callApiHeartbeat,
+    getIntervalMs: () => appConfig.HEARTBEAT_INTERVAL_MS,
+    getMaxBackoffMs: () => appConfig.HEARTBEAT_MAX_BACKOFF_MS,
+    logger
+});
+
 /**
  * Validate số điện thoại Việt Nam
  * Hỗ trợ các format:
@@ -1027,13 +1610,13 @@ async function sendClipboardToServer(text) {
         );
         
         if (!responseData?.success) {
-            console.error('sendClipboardToServer error:', responseData?.message || 'Unknown error');
+            logger.error('sendClipboardToServer error:', responseData?.message || 'Unknown error');
             return false;
         }
         
         return true;
     } catch (error) {
-        console.error('sendClipboardToServer catch error:', error.message);
+        logger.error('sendClipboardToServer catch error:', error.message);
         return false;
     }
 }
@@ -1070,6 +1653,20 @@ function startClipboardMonitoring() {
                 // Cập nhật lastClipboardText
                 lastClipboardText = currentText;
                 
+                // Ghi nhớ số điện thoại để gắn vào cuộc gọi (copy trước hoặc trong cuộc gọi)
+                const phoneNumber = validateAndNormalizePhoneNumber(currentText);
+                if (phoneNumber) {
+                    lastCopiedPhone = { phoneNumber, copiedAt: Date.now() };
+                    if (currentCallSession) {
+                        linkPhoneToSession(currentCallSession, lastCopiedPhone);
+                    }
+                }
+                
+                // Gửi text lên server chỉ khi được bật riêng
+                if (!appConfig.CLIPBOARD_UPLOAD_ENABLED) {
+                    return;
+                }
+                
                 // Validate text
                 const text = validateAndNormalizeText(currentText);
                 
@@ -1080,17 +1677,17 @@ function startClipboardMonitoring() {
                 
                 // Gửi text lên server (async, không đợi kết quả)
                 sendClipboardToServer(text).catch((error) => {
-                    console.error('Failed to send text to server:', error.message);
+                    logger.error('Failed to send text to server:', error.message);
                 });
                 
             } catch (error) {
-                console.error('Clipboard change handler error:', error.message);
+                logger.error('Clipboard change handler error:', error.message);
             }
         });
         
     } catch (error) {
-        console.error('Failed to start clipboard event listener:', error.message);
-        console.error('Error details:', error.stack);
+        logger.error('Failed to start clipboard event listener:', error.message);
+        logger.error('Error details:', error.stack);
     }
 }
 
@@ -1101,236 +1698,1595 @@ function stopClipboardMonitoring() {
     if (clipboardEventStarted) {
         try {
             clipboardEvent.stopListening();
+            clipboardEvent.removeAllListeners('change');
             clipboardEventStarted = false;
         } catch (error) {
-            console.error('Error stopping clipboard event listener:', error.message);
+            logger.error('Error stopping clipboard event listener:', error.message);
         }
     }
 }
 
-ipcMain.handle('save-file', async (event, { filename, dataUrl }) => {
+/* --------------------------------------------------
+   7.5. Recording Catalog - Danh sách bản ghi và trạng thái upload (userData)
+-------------------------------------------------- */
+
+const recordingCatalog = createRecordingCatalog({
+    catalogFile: path.join(app.getPath('userData'), 'recordings.json'),
+    logger
+});
+
+/**
+ * Cập nhật catalog sau khi có file audio: kích thước, thời lượng, hash
+ * @param {string} recordingId
+ * @param {string} filePath
+ * @param {object} [fields] - Các field khác cần cập nhật
+ */
+async function catalogAudioFile(recordingId, filePath, fields = {}) {
+    let size = null;
+    let hash = null;
+    try {
+        size = fs.statSync(filePath).size;
+        hash = await hashFile(filePath);
+    } catch (err) {
+        logger.error('catalogAudioFile: Failed to read file:', err.message);
+    }
+    return recordingCatalog.update(recordingId, { ...fields, filePath, size, hash });
+}
+
+// Tra cứu catalog, ví dụ: { uploadState: 'failed', since: Date.now() - 86400000 }
+ipcMain.handle('get-recordings', async (event, filter) => {
+    return recordingCatalog.query(filter);
+});
+
+/* --------------------------------------------------
+   7.7. Encryption at rest - Mã hóa bản ghi trên máy agent
+-------------------------------------------------- */
+
+// Khóa AES-256 riêng của máy (được bảo vệ bằng safeStorage nếu có)
+const RECORDING_KEY_FILE = path.join(app.getPath('userData'), 'recording-key.json');
+let recordingKey = null;
+
+function getRecordingKey() {
+    if (!recordingKey) {
+        recordingKey = loadOrCreateDeviceKey(RECORDING_KEY_FILE, safeStorage);
+    }
+    return recordingKey;
+}
+
+/**
+ * Public key RSA của server dùng để bọc khóa khi upload bản mã hóa
+ * @returns {string|null}
+ */
+function getKeyWrapPublicKey() {
+    const keyPath = appConfig.RECORDING_KEY_WRAP_PUBLIC_KEY || path.join(app.getAppPath(), 'keys', 'recording-key-wrap.pub.pem');
+    try {
+        return fs.readFileSync(keyPath, 'utf8');
+    } catch (error) {
+        logger.error(`getKeyWrapPublicKey: Cannot read key-wrap public key ${keyPath}:`, error.message);
+        return null;
+    }
+}
+
+// Khi bật mã hóa, file đang ghi (.partial.webm, .preroll.wav), file WebM và file audio trước khi mã hóa
+// nằm trong thư mục riêng của user (userData) thay vì Documents; OUTPUT_DIR chỉ chứa bản đã mã hóa
+const RECORDING_WORK_DIR = path.join(app.getPath('userData'), 'recording-work');
+
+/**
+ * Thư mục chứa file tạm của bản ghi bắt đầu lúc `date` (tạo nếu chưa có)
+ * @param {Date} date
+ * @returns {string}
+ */
+function getWorkDir(date) {
+    if (!appConfig.RECORDING_ENCRYPTION_ENABLED) {
+        return getDateDir(date);
+    }
+    const workDir = path.join(RECORDING_WORK_DIR, path.basename(getDateDir(date)));
+    fs.mkdirSync(workDir, { recursive: true, mode: 0o700 });
+    return workDir;
+}
+
+/**
+ * Đường dẫn tương ứng trong OUTPUT_DIR của file nằm trong thư mục ngày (của OUTPUT_DIR hoặc RECORDING_WORK_DIR)
+ * @param {string} filePath
+ * @returns {string}
+ */
+function getOutputPathFor(filePath) {
+    const dateDir = path.join(OUTPUT_DIR, path.basename(path.dirname(filePath)));
+    fs.mkdirSync(dateDir, { recursive: true });
+    return path.join(dateDir, path.basename(filePath));
+}
+
+/**
+ * Chuyển file (kể cả khi userData và Documents nằm trên hai ổ khác nhau)
+ */
+function moveFile(sourcePath, targetPath) {
     try {
-        if (!dataUrl || !dataUrl.startsWith('data:')) {
-            const error = new Error('Invalid dataUrl format');
-            console.error('save-file: ERROR -', error.message);
+        fs.renameSync(sourcePath, targetPath);
+    } catch (error) {
+        if (error.code !== 'EXDEV') {
             throw error;
         }
-        
-        // Create date folder
-        const now = new Date();
-        const dd = String(now.getDate()).padStart(2, '0');
-        const mm = String(now.getMonth() + 1).padStart(2, '0');
-        const yyyy = now.getFullYear();
-        const dateFolder = `${dd}_${mm}_${yyyy}`;
-        const dateDir = path.join(OUTPUT_DIR, dateFolder);
-
-        if (!fs.existsSync(dateDir)) {
-            try {
-                fs.mkdirSync(dateDir, { recursive: true });
-            } catch (err) {
-                console.error('Failed to create date directory:', err.message);
-                throw err;
-            }
+        fs.copyFileSync(sourcePath, targetPath);
+        fs.unlinkSync(sourcePath);
+    }
+}
+
+/**
+ * Đưa file audio đã convert vào thư mục ngày trong OUTPUT_DIR.
+ * Bật RECORDING_ENCRYPTION_ENABLED thì mã hóa trong lúc chuyển, bản rõ không được ghi vào OUTPUT_DIR.
+ * Mã hóa lỗi thì báo lỗi và file gốc được giữ nguyên.
+ * @param {string} filePath
+ * @returns {Promise<{filePath: string, encrypted: boolean}>}
+ */
+async function storeRecordingFile(filePath) {
+    const targetPath = getOutputPathFor(filePath);
+    const encrypted = isEncryptedFile(filePath);
+    if (encrypted || !appConfig.RECORDING_ENCRYPTION_ENABLED) {
+        if (targetPath !== filePath) {
+            moveFile(filePath, targetPath);
         }
+        return { filePath: targetPath, encrypted };
+    }
+    await encryptFile(filePath, getRecordingKey(), targetPath);
+    return { filePath: targetPath, encrypted: true };
+}
 
-        // Save temporary WebM file
-        const tempFilename = filename.replace('.mp3', '.webm');
-        const tempFilePath = path.join(dateDir, tempFilename);
-        
-        const base64Data = dataUrl.split(',')[1];
-        if (!base64Data) {
-            const error = new Error('Invalid dataUrl: no base64 data found');
-            console.error('save-file: ERROR -', error.message);
-            throw error;
+/**
+ * Ghi sidecar .json của bản ghi (mã hóa nếu bật RECORDING_ENCRYPTION_ENABLED, vì chứa số điện thoại)
+ * @param {string} audioPath
+ * @param {object} metadata
+ */
+function writeRecordingSidecar(audioPath, metadata) {
+    return writeSidecar(audioPath, metadata, appConfig.RECORDING_ENCRYPTION_ENABLED ? getRecordingKey() : null);
+}
+
+/**
+ * Đọc sidecar .json của bản ghi (kể cả sidecar đã mã hóa)
+ * @param {string} audioPath
+ * @returns {object|null}
+ */
+function readRecordingSidecar(audioPath) {
+    return readSidecar(audioPath, getRecordingKey);
+}
+
+/**
+ * Lệnh giải mã cho admin: app --decrypt-recording <input> <output> (dùng khóa của máy này)
+ * @param {string[]} args
+ */
+async function runDecryptRecordingCommand([inputPath, outputPath]) {
+    try {
+        if (!inputPath || !outputPath) {
+            throw new Error('Usage: --decrypt-recording <input> <output>');
         }
-        
-        let buffer;
+        if (!fs.existsSync(RECORDING_KEY_FILE)) {
+            throw new Error(`No recording key on this machine (${RECORDING_KEY_FILE})`);
+        }
+        await decryptFile(inputPath, outputPath, getRecordingKey());
+        logger.info(`[DECRYPT] ${inputPath} -> ${outputPath}`);
+        app.exit(0);
+    } catch (error) {
+        logger.error('[DECRYPT] Failed:', error.message);
+        app.exit(1);
+    }
+}
+
+/* --------------------------------------------------
+   7.1. Streaming recording - Ghi từng chunk xuống file tạm trên đĩa
+-------------------------------------------------- */
+
+// Các bản ghi đang được stream: recordingId -> { partialPath, prerollPath, workDir, startTime, channelLayout, micConnected, systemConnected, incomplete }
+const activeRecordings = new Map();
+
+/**
+ * Tạo ID cho một phiên ghi âm
+ * @returns {string}
+ */
+function createRecordingId() {
+    return `rec_${Date.now()}`;
+}
+
+/**
+ * Lấy (và tạo nếu chưa có) thư mục lưu file theo ngày dd_mm_yyyy
+ * @param {Date} date
+ * @returns {string} Đường dẫn thư mục
+ */
+function getDateDir(date) {
+    const dd = String(date.getDate()).padStart(2, '0');
+    const mm = String(date.getMonth() + 1).padStart(2, '0');
+    const yyyy = date.getFullYear();
+    const dateDir = path.join(OUTPUT_DIR, `${dd}_${mm}_${yyyy}`);
+
+    if (!fs.existsSync(dateDir)) {
         try {
-            buffer = Buffer.from(base64Data, 'base64');
-            if (buffer.length === 0) {
-                const error = new Error('Buffer is empty');
-                console.error('save-file: ERROR -', error.message);
-                throw error;
-            }
+            fs.mkdirSync(dateDir, { recursive: true });
         } catch (err) {
-            console.error('save-file: ERROR - Failed to decode base64:', err.message);
+            logger.error('Failed to create date directory:', err.message);
             throw err;
         }
+    }
+    return dateDir;
+}
+
+ipcMain.handle('recording-begin', async (event, { recordingId, startTime, channelLayout, micConnected, systemConnected }) => {
+    if (!recordingId) {
+        throw new Error('recording-begin: recordingId is required');
+    }
+    const workDir = getWorkDir(new Date(startTime));
+    const partialPath = path.join(workDir, `${recordingId}${PARTIAL_SUFFIX}`);
+    fs.writeFileSync(partialPath, Buffer.alloc(0));
+    activeRecordings.set(recordingId, { partialPath, workDir, startTime, channelLayout, micConnected, systemConnected });
+    recordingCatalog.update(recordingId, {
+        filePath: partialPath,
+        uploadState: 'recording',
+        beginTime: startTime,
+        phoneNumber: callSessions.get(recordingId)?.phoneNumber || null
+    });
+    return true;
+});
+
+ipcMain.handle('recording-preroll', async (event, { recordingId, wav }) => {
+    const recording = activeRecordings.get(recordingId);
+    if (!recording) {
+        throw new Error(`recording-preroll: Unknown recording ${recordingId}`);
+    }
+    const prerollPath = path.join(recording.workDir, `${recordingId}${PREROLL_SUFFIX}`);
+    await fs.promises.writeFile(prerollPath, Buffer.from(wav));
+    recording.prerollPath = prerollPath;
+    return true;
+});
+
+ipcMain.handle('recording-chunk', async (event, { recordingId, chunk }) => {
+    const recording = activeRecordings.get(recordingId);
+    if (!recording) {
+        throw new Error(`recording-chunk: Unknown recording ${recordingId}`);
+    }
+    await fs.promises.appendFile(recording.partialPath, Buffer.from(chunk));
+    return true;
+});
+
+ipcMain.handle('save-file', async (event, { filename, recordingId, endTime }) => {
+    try {
+        const recording = activeRecordings.get(recordingId);
+        if (!recording) {
+            const error = new Error(`Unknown recording: ${recordingId}`);
+            logger.error('save-file: ERROR -', error.message);
+            throw error;
+        }
+        activeRecordings.delete(recordingId);
+        const { partialPath, prerollPath, workDir, startTime, channelLayout, micConnected, systemConnected, incomplete } = recording;
+
+        // Đổi file tạm đang stream thành file WebM hoàn chỉnh
+        const baseName = path.parse(filename).name;
+        const tempFilename = `${baseName}.webm`;
+        const tempFilePath = path.join(workDir, tempFilename);
 
         try {
-            fs.writeFileSync(tempFilePath, buffer);
-            // Verify temp file
-            const tempStats = fs.statSync(tempFilePath);
-            if (tempStats.size === 0) {
-                const error = new Error('Temporary file is empty');
-                console.error('save-file: ERROR -', error.message);
+            const partialStats = fs.statSync(partialPath);
+            if (partialStats.size === 0) {
+                const error = new Error('Recording file is empty');
+                logger.error('save-file: ERROR -', error.message);
+                try {
+                    fs.unlinkSync(partialPath);
+                } catch {}
                 throw error;
             }
+            fs.renameSync(partialPath, tempFilePath);
         } catch (err) {
-            console.error('save-file: ERROR - Failed to write temp file:', err.message);
+            logger.error('save-file: ERROR - Failed to finalize recording file:', err.message);
+            recordingCatalog.addError(recordingId, 'finalize', err, { uploadState: 'failed' });
             throw err;
         }
 
-        // Convert to MP3
-        const mp3FilePath = path.join(dateDir, filename);
+        // Không đủ chỗ để convert: giữ file WebM để recovery convert lại ở lần khởi động sau
+        if (!await ensureDiskSpace('save-file')) {
+            const error = new Error(`Not enough disk space to convert recording (${formatMegabytes(diskStatus.freeBytes)} MB free)`);
+            logger.error('save-file: ERROR -', error.message);
+            recordingCatalog.addError(recordingId, 'disk', error, { filePath: tempFilePath, uploadState: 'conversion_failed' });
+            throw error;
+        }
+
+        // Convert sang định dạng output, kèm các filter hậu xử lý đã bật
+        let outputFilePath = path.join(workDir, baseName + getOutputFormat().extension);
+        const trim = await detectSilenceTrim(tempFilePath, { prerollPath });
+        const filterChain = buildAudioFilterChain(appConfig, { trim });
+        // startTime của renderer đã tính cả pre-roll
+        const audioTime = getAudioTimeRange(startTime, endTime || Date.now(), trim);
+        const session = callSessions.get(recordingId);
+        const metadata = buildRecordingMetadata({
+            recordingId,
+            nameCode: getNameCode(),
+            appVersion: app.getVersion(),
+            codeVersion: getCodeVersion(),
+            beginTime: audioTime.beginTime,
+            endTime: audioTime.endTime,
+            startMetrics: session?.startMetrics,
+            stopMetrics: session?.stopMetrics,
+            micConnected,
+            systemConnected,
+            phoneNumber: session?.phoneNumber,
+            channelLayout,
+            audioFilters: filterChain.applied,
+            outputFormat: getOutputFormat().name,
+            incomplete
+        });
         
         try {
-            await convertToMP3(tempFilePath, mp3FilePath);
+            await convertRecording(tempFilePath, outputFilePath, {
+                channelLayout,
+                prerollPath,
+                filters: filterChain.filters,
+                metadata
+            });
         } catch (err) {
-            console.error('save-file: ERROR - Conversion failed:', err.message);
-            // Xóa temp file nếu conversion fail
-            try {
-                if (fs.existsSync(tempFilePath)) {
-                    fs.unlinkSync(tempFilePath);
-                }
-            } catch {}
+            logger.error('save-file: ERROR - Conversion failed:', err.message);
+            // Giữ lại file WebM để bước recovery convert lại ở lần khởi động sau
+            recordingCatalog.addError(recordingId, 'convert', err, {
+                filePath: tempFilePath,
+                uploadState: 'conversion_failed'
+            });
             throw err;
         }
 
         // Delete temporary WebM file
         try {
             fs.unlinkSync(tempFilePath);
+            if (prerollPath) {
+                fs.unlinkSync(prerollPath);
+            }
         } catch (err) {
-            console.error('save-file: ERROR - Failed to delete temp file:', err.message);
+            logger.error('save-file: ERROR - Failed to delete temp file:', err.message);
         }
 
-        // Get MP3 file size
+        // Lỗi mã hóa không được làm mất bản ghi: giữ file gốc (trong thư mục riêng của user) và vẫn upload
+        let encrypted = false;
         try {
-            const stats = fs.statSync(mp3FilePath);
-            const sizeKB = (stats.size / 1024).toFixed(2);
-            return { path: mp3FilePath, size: sizeKB };
+            ({ filePath: outputFilePath, encrypted } = await storeRecordingFile(outputFilePath));
         } catch (err) {
-            console.error('save-file: ERROR - Failed to get file stats:', err.message);
-            throw err;
+            logger.error('save-file: ERROR - Failed to encrypt recording:', err.message);
+            recordingCatalog.addError(recordingId, 'encrypt', err);
         }
-    } catch (error) {
-        console.error('save-file: FATAL ERROR: ', error.message, error.stack);
-        throw error;
-    }
-});
 
-ipcMain.handle('upload-file', async (event, { timeParams, filePath }) => {
-    try {
-        if (!filePath || !fs.existsSync(filePath)) {
-            const error = new Error('File not found: ' + filePath);
-            console.error('upload-file: ERROR -', error.message);
-            throw error;
-        }
-        const {
-            beginTime,
-            endTime,
-        } = timeParams;
-        const fileName = path.basename(filePath);
-        const fileExtension = path.extname(filePath).toLowerCase();
-        const contentType = contentTypeMap[fileExtension] || 'application/octet-stream';
-        const response = await callApi(
-            appConfig.API_UPLOAD_URL,
-            appConfig.UPLOAD_API,
-            'POST',
-            {
-                name: fileName,
-                type: contentType,
-            },
-            { 'x-api-token': appConfig.SALE_TOKEN },
-            10000,
-            false
-        );
-        if (response.code !== 200) {
-            console.error('upload-file error:', response?.message || 'Unknown error');
-            return false;
-        }
-        const { presignUrl, url } = response.data;
-        // Đọc file thành Buffer để gửi binary data
-        const fileBuffer = fs.readFileSync(filePath);
-        // Gửi file binary bằng callApi với presignUrl (full URL)
-        await callApi(
-            '', // apiUrl không cần vì endpoint là full URL
-            presignUrl, // presignUrl là full URL, callApi sẽ detect và dùng trực tiếp
-            'PUT',
-            fileBuffer, // Binary data (Buffer)
-            { 'Content-Type': contentType },
-            60000, // Timeout 60s cho file lớn
-            false
-        );
-        // call api lưu lịch sử
-        const saveHistoryResponse = await callApi(
-            appConfig.API_URL,
-            appConfig.SAVE_HISTORY_API,
-            'POST',
-            {
-                begin_time: new Date(beginTime).toISOString(),
-                end_time: new Date(endTime).toISOString(),
-                call_url: url
-            },
-            { 'x-api-token': appConfig.SALE_TOKEN },
-            10000,
-            false
-        );
-        if (!saveHistoryResponse?.success) {
-            console.error('upload-file: Failed to save history:', saveHistoryResponse);
-            return false;
+        // Ghi file sidecar .json cạnh file audio
+        try {
+            writeRecordingSidecar(outputFilePath, metadata);
+        } catch (err) {
+            logger.error('save-file: ERROR - Failed to write sidecar:', err.message);
         }
-        // Xóa file khi API lưu lịch sử thành công
+
+        await catalogAudioFile(recordingId, outputFilePath, {
+            uploadState: 'saved',
+            beginTime: audioTime.beginTime,
+            endTime: audioTime.endTime,
+            durationMs: metadata.duration_ms,
+            phoneNumber: metadata.phone_number,
+            channelLayout,
+            encrypted
+        });
+
+        // Get output file size
         try {
-            if (fs.existsSync(filePath)) {
-                fs.unlinkSync(filePath);
-            }
+            const stats = fs.statSync(outputFilePath);
+            const sizeKB = (stats.size / 1024).toFixed(2);
+            return {
+                path: outputFilePath,
+                size: sizeKB,
+                channelLayout,
+                audioFilters: filterChain.applied,
+                beginTime: audioTime.beginTime,
+                endTime: audioTime.endTime
+            };
         } catch (err) {
-            console.error('upload-file: ERROR - Failed to delete file:', err.message);
+            logger.error('save-file: ERROR - Failed to get file stats:', err.message);
+            throw err;
         }
-        return true;
     } catch (error) {
-        console.error('upload-file: ERROR - Failed to upload file:', error.message);
+        logger.error('save-file: FATAL ERROR: ', error.message, error.stack);
+        // Renderer sẽ không gọi upload-file cho bản ghi này
+        finishingRecordings.delete(recordingId);
         throw error;
     }
 });
 
-app.whenReady().then(() => {
-    // Setup file watcher để tự động reload khi file được tạo/thay đổi
-    // setupConfigFileWatcher();
-    setTimeout(() => {
-        loadConfigFiles();
-    }, 5000);
-    createWindow();
-    startMonitoring();
-    // startClipboardMonitoring();
-    // Bắt đầu auto-check version sau 10 giây (để app khởi động xong)
-    setTimeout(() => {
-        startVersionCheck();
-    }, 10000);
-    // startMonitoringTest();
-});
+/* --------------------------------------------------
+   8. Upload Queue - Upload bền vững với retry/backoff
+-------------------------------------------------- */
 
-app.on('window-all-closed', () => {
-    if (monitoringInterval) {
-        clearInterval(monitoringInterval);
-    }
-    stopVersionCheck();
-    stopClipboardMonitoring();
-    app.quit();
+const UPLOAD_QUEUE_FILE = path.join(app.getPath('userData'), 'upload-queue.json');
+
+/**
+ * Tạo lỗi không cần retry (ví dụ: file đã bị xóa)
+ */
+function createPermanentError(message) {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+}
+
+/**
+ * Bước 1: Lấy presign URL để upload file
+ */
+async function requestPresignUrl(job) {
+    const response = await callApi(
+        appConfig.API_UPLOAD_URL,
+        appConfig.UPLOAD_API,
+        'POST',
+        {
+            name: job.uploadEncrypted ? `${job.fileName}.enc` : job.fileName,
+            type: getUploadContentType(job),
+        },
+        { 'x-api-token': appConfig.SALE_TOKEN },
+        10000,
+        false
+    );
+    if (response?.code !== 200 || !response.data) {
+        throw new Error(`Presign request failed: ${response?.message || 'Unknown error'}`);
+    }
+    return response.data;
+}
+
+/**
+ * Chọn cách upload file đã mã hóa theo RECORDING_UPLOAD_MODE:
+ * - decrypted: giải mã khi upload (server nhận file audio gốc)
+ * - encrypted: upload nguyên bản mã hóa kèm khóa đã bọc bằng public key của server
+ */
+function prepareUploadEncryption(job) {
+    job.uploadEncrypted = false;
+    job.encryption = null;
+    if (appConfig.RECORDING_UPLOAD_MODE !== 'encrypted' || !isEncryptedFile(job.filePath)) {
+        return;
+    }
+    const publicKey = getKeyWrapPublicKey();
+    if (!publicKey) {
+        logger.error('prepareUploadEncryption: No key-wrap public key, uploading decrypted file');
+        return;
+    }
+    job.uploadEncrypted = true;
+    job.encryption = {
+        algorithm: RECORDING_CIPHER,
+        key_wrap: KEY_WRAP_ALGORITHM,
+        wrapped_key: wrapKey(getRecordingKey(), publicKey),
+        device_id: DEVICE_ID
+    };
+}
+
+function getUploadContentType(job) {
+    return job.uploadEncrypted ? 'application/octet-stream' : job.contentType;
+}
+
+/**
+ * Bước 2: Upload file binary lên presign URL
+ */
+async function putFileToPresignUrl(job) {
+    const headers = { 'Content-Type': getUploadContentType(job) };
+    let body;
+    if (!job.uploadEncrypted && isEncryptedFile(job.filePath)) {
+        // File mã hóa trên đĩa, server nhận bản gốc: giải mã dạng stream khi upload
+        body = createDecryptStream(job.filePath, getRecordingKey());
+        headers['Content-Length'] = getPlaintextSize(job.filePath);
+    } else {
+        // Đọc file thành Buffer để gửi binary data
+        body = fs.readFileSync(job.filePath);
+    }
+    // Gửi file binary bằng callApi với presignUrl (full URL)
+    const response = await callApi(
+        '', // apiUrl không cần vì endpoint là full URL
+        job.presignUrl, // presignUrl là full URL, callApi sẽ detect và dùng trực tiếp
+        'PUT',
+        body, // Binary data (Buffer/Stream)
+        headers,
+        60000, // Timeout 60s cho file lớn
+        false
+    );
+    if (response instanceof Error) {
+        throw new Error(`Upload to presign URL failed: ${response.message}`);
+    }
+}
+
+/**
+ * Bước 3: Gọi API lưu lịch sử cuộc gọi
+ */
+async function saveCallHistory(job) {
+    const saveHistoryResponse = await callApi(
+        appConfig.API_URL,
+        appConfig.SAVE_HISTORY_API,
+        'POST',
+        {
+            begin_time: new Date(job.beginTime).toISOString(),
+            end_time: new Date(job.endTime).toISOString(),
+            call_url: job.url,
+            recovered: !!job.recovered,
+            // Bản ghi khôi phục không biết layout gốc
+            channel_layout: job.channelLayout || null,
+            channel_map: job.channelLayout === 'split' ? { left: 'mic', right: 'system' } : null,
+            // null = không biết filter nào đã được áp dụng (bản ghi khôi phục)
+            audio_filters: job.audioFilters ?? null,
+            // Số điện thoại khách hàng copy trước/trong cuộc gọi (để map với CRM)
+            phone_number: job.phoneNumber || null,
+            // Nội dung file sidecar .json
+            metadata: job.metadata || null,
+            // File upload dạng mã hóa: khóa của máy được bọc bằng public key của server
+            encryption: job.uploadEncrypted ? job.encryption : null
+        },
+        { 'x-api-token': appConfig.SALE_TOKEN },
+        10000,
+        false
+    );
+    if (!saveHistoryResponse?.success) {
+        throw new Error(`Save history failed: ${saveHistoryResponse?.message || 'Unknown error'}`);
+    }
+}
+
+/**
+ * Xử lý một job upload theo từng bước: presign -> put -> history.
+ * Sau mỗi bước gọi checkpoint() để lưu tiến độ, khi khởi động lại sẽ làm tiếp bước còn dở.
+ * @param {object} job - Job trong upload queue
+ * @param {function} checkpoint - Lưu trạng thái job xuống đĩa
+ */
+async function processUploadJob(job, checkpoint) {
+    if (job.step === 'presign' || job.step === 'put') {
+        if (!fs.existsSync(job.filePath)) {
+            throw createPermanentError('File not found: ' + job.filePath);
+        }
+    }
+
+    recordingCatalog.update(job.recordingId, { uploadState: 'uploading', uploadStep: job.step });
+
+    if (job.step === 'presign') {
+        prepareUploadEncryption(job);
+        const { presignUrl, url } = await requestPresignUrl(job);
+        job.presignUrl = presignUrl;
+        job.url = url;
+        job.step = 'put';
+        checkpoint();
+        recordingCatalog.update(job.recordingId, { uploadStep: job.step });
+    }
+
+    if (job.step === 'put') {
+        try {
+            await putFileToPresignUrl(job);
+        } catch (err) {
+            // Presign URL có thời hạn, lần retry sau xin URL mới
+            job.step = 'presign';
+            err.step = 'put';
+            throw err;
+        }
+        job.step = 'history';
+        checkpoint();
+        recordingCatalog.update(job.recordingId, { uploadStep: job.step });
+    }
+
+    if (job.step === 'history') {
+        await saveCallHistory(job);
+        recordingCatalog.update(job.recordingId, {
+            uploadState: 'uploaded',
+            uploadStep: null,
+            callUrl: job.url,
+            uploadedAt: Date.now()
+        });
+        // Xóa file (và sidecar) khi API lưu lịch sử thành công
+        try {
+            if (fs.existsSync(job.filePath)) {
+                fs.unlinkSync(job.filePath);
+            }
+            const sidecarPath = getSidecarPath(job.filePath);
+            if (fs.existsSync(sidecarPath)) {
+                fs.unlinkSync(sidecarPath);
+            }
+            recordingCatalog.update(job.recordingId, { fileDeleted: true });
+        } catch (err) {
+            logger.error('upload-file: ERROR - Failed to delete file:', err.message);
+        }
+    }
+}
+
+const uploadQueue = createUploadQueue({
+    queueFile: UPLOAD_QUEUE_FILE,
+    processJob: processUploadJob,
+    baseDelayMs: appConfig.UPLOAD_RETRY_BASE_MS,
+    maxDelayMs: appConfig.UPLOAD_RETRY_MAX_MS,
+    maxAttempts: appConfig.UPLOAD_MAX_ATTEMPTS,
+    onJobError: (job, err) => {
+        recordingCatalog.addError(job.recordingId, err.step || job.step, err, {
+            uploadState: job.state === 'failed' ? 'failed' : 'queued',
+            uploadStep: job.step,
+            attempts: job.attempts
+        });
+    },
+    logger
+});
+
+ipcMain.handle('upload-file', async (event, { recordingId, timeParams, filePath, channelLayout, audioFilters }) => {
+    try {
+        if (!filePath || !fs.existsSync(filePath)) {
+            const error = new Error('File not found: ' + filePath);
+            logger.error('upload-file: ERROR -', error.message);
+            throw error;
+        }
+        const {
+            beginTime,
+            endTime,
+        } = timeParams;
+        const fileExtension = path.extname(filePath).toLowerCase();
+        const session = callSessions.get(recordingId);
+        callSessions.delete(recordingId);
+        const job = uploadQueue.enqueue({
+            recordingId,
+            filePath,
+            fileName: path.basename(filePath),
+            contentType: contentTypeMap[fileExtension] || 'application/octet-stream',
+            beginTime,
+            endTime,
+            channelLayout: channelLayout || 'mixed',
+            audioFilters: audioFilters ?? null,
+            phoneNumber: session?.phoneNumber || null,
+            metadata: readRecordingSidecar(filePath)
+        });
+        recordingCatalog.update(recordingId, { uploadState: 'queued', uploadJobId: job.id });
+        // Đã vào hàng đợi (lưu trên đĩa): không cần giữ app khi tắt nữa
+        finishingRecordings.delete(recordingId);
+        // Thử upload ngay ở nền (không bắt renderer đợi mạng), nếu lỗi job vẫn nằm trong queue và được retry sau
+        uploadQueue.runNow(job.id).catch((error) => {
+            logger.error('upload-file: Upload attempt failed:', error.message);
+        });
+        return { jobId: job.id };
+    } catch (error) {
+        logger.error('upload-file: ERROR - Failed to queue file:', error.message);
+        recordingCatalog.addError(recordingId, 'queue', error, { uploadState: 'failed' });
+        finishingRecordings.delete(recordingId);
+        throw error;
+    }
+});
+
+// Renderer không ghi được file (recording-begin/recording-chunk lỗi): ngừng ghi, giữ phần đã ghi được
+ipcMain.on('recording-failed', (event, { recordingId, stage, message } = {}) => {
+    const recording = activeRecordings.get(recordingId);
+    if (recording) {
+        recording.incomplete = true;
+    }
+    logger.error(`[RECORDING] Recording ${recordingId} failed at ${stage}: ${message}`);
+    recordingCatalog.addError(recordingId, stage, message, recording
+        ? { incomplete: true }
+        : { incomplete: true, uploadState: 'failed' });
+});
+
+// Renderer đã xử lý xong lệnh stop-recording (kể cả khi không có audio hoặc lưu lỗi)
+ipcMain.on('recording-finished', (event, { recordingId } = {}) => {
+    if (recordingId) {
+        finishingRecordings.delete(recordingId);
+        discardUnsavedRecording(recordingId);
+    }
+});
+
+/**
+ * Bản ghi renderer không gọi save-file (không có audio): bỏ khỏi activeRecordings và xóa file tạm rỗng.
+ * File còn dữ liệu được giữ lại cho bước recovery ở lần khởi động sau.
+ */
+function discardUnsavedRecording(recordingId) {
+    const recording = activeRecordings.get(recordingId);
+    if (!recording) {
+        return;
+    }
+    activeRecordings.delete(recordingId);
+    try {
+        if (fs.statSync(recording.partialPath).size === 0) {
+            fs.unlinkSync(recording.partialPath);
+            if (recording.prerollPath) {
+                fs.rmSync(recording.prerollPath, { force: true });
+            }
+            recordingCatalog.addError(recordingId, 'finalize', 'No audio data recorded', { uploadState: 'failed' });
+        }
+    } catch (err) {
+        logger.error('discardUnsavedRecording: Failed to clean up recording file:', err.message);
+    }
+}
+
+/* --------------------------------------------------
+   8.1. Retention - Chính sách lưu trữ và kiểm tra dung lượng đĩa
+-------------------------------------------------- */
+
+const MEGABYTE = 1048576;
+const DAY_MS = 86400000;
+
+// Dung lượng đĩa lần kiểm tra gần nhất: { freeBytes, totalBytes, low, critical, checkedAt }
+let diskStatus = null;
+// Kết quả lượt dọn dẹp gần nhất
+let lastRetention = null;
+let retentionInterval = null;
+
+function formatMegabytes(bytes) {
+    return Math.round(bytes / MEGABYTE);
+}
+
+/**
+ * Trạng thái bản ghi theo chính sách lưu trữ: chỉ 'uploaded' và 'failed' có thể bị xóa
+ * @param {string} filePath
+ * @returns {string} uploaded | failed | pending
+ */
+function getRecordingRetentionState(filePath) {
+    const job = uploadQueue.list().find(j => j.filePath === filePath);
+    if (job) {
+        return job.state === 'failed' ? 'failed' : 'pending';
+    }
+    const entry = recordingCatalog.findByPath(filePath);
+    if (entry?.uploadState === 'uploaded') {
+        return 'uploaded';
+    }
+    if (entry?.uploadState === 'failed' || entry?.uploadState === 'conversion_failed') {
+        return 'failed';
+    }
+    return 'pending';
+}
+
+const retentionManager = createRetentionManager({
+    outputDir: OUTPUT_DIR,
+    logDir: LOG_DIR,
+    audioExtensions: Object.keys(getAudioContentTypes()),
+    getPolicy: () => ({
+        maxTotalBytes: appConfig.RETENTION_MAX_TOTAL_MB * MEGABYTE,
+        uploadedMaxAgeMs: appConfig.RETENTION_UPLOADED_MAX_AGE_DAYS * DAY_MS,
+        // Bản ghi chưa upload được chỉ bị xóa khi cấu hình cho phép rõ ràng
+        failedMaxAgeMs: appConfig.RETENTION_FAILED_MAX_AGE_DAYS * DAY_MS,
+        deleteFailedForSpace: !!appConfig.RETENTION_DELETE_FAILED_FOR_SPACE,
+        logMaxAgeMs: appConfig.RETENTION_LOG_MAX_AGE_DAYS * DAY_MS
+    }),
+    getRecordingState: getRecordingRetentionState,
+    onDelete: (filePath, reason) => {
+        const entry = recordingCatalog.findByPath(filePath);
+        if (entry) {
+            recordingCatalog.update(entry.id, { fileDeleted: true, deletedReason: reason });
+        }
+        // File của job lỗi hẳn đã bị xóa: job không thể chạy lại nữa
+        const job = uploadQueue.list().find(j => j.filePath === filePath);
+        if (job) {
+            uploadQueue.remove(job.id);
+        }
+    },
+    logger
+});
+
+/**
+ * Chạy một lượt dọn dẹp theo chính sách lưu trữ
+ * @param {string} trigger - Lý do chạy (scheduled, low disk...)
+ */
+function runRetention(trigger) {
+    try {
+        const summary = retentionManager.run();
+        // Entry của bản ghi đã upload được giữ lâu như file của chúng
+        summary.prunedCatalogEntries = recordingCatalog.prune({
+            uploadedMaxAgeMs: appConfig.RETENTION_UPLOADED_MAX_AGE_DAYS * DAY_MS
+        });
+        lastRetention = { ...summary, trigger, at: Date.now() };
+        if (summary.deletedRecordings || summary.deletedLogs) {
+            logger.info(`[RETENTION] ${trigger}: deleted ${summary.deletedRecordings} recording(s) and ${summary.deletedLogs} log file(s), freed ${formatMegabytes(summary.freedBytes)} MB`);
+        }
+    } catch (error) {
+        logger.error(`[RETENTION] ${trigger} failed:`, error.message);
+    }
+}
+
+/**
+ * Đọc lại dung lượng trống của ổ chứa OUTPUT_DIR, log khi chuyển sang/thoát trạng thái thiếu dung lượng
+ * @param {string} context - Nơi kiểm tra (để log)
+ * @returns {Promise<object|null>} diskStatus
+ */
+async function refreshDiskStatus(context) {
+    const space = await getDiskSpace(OUTPUT_DIR);
+    if (!space) {
+        return diskStatus;
+    }
+    const wasLow = !!diskStatus?.low;
+    diskStatus = {
+        ...space,
+        low: space.freeBytes < appConfig.DISK_LOW_FREE_MB * MEGABYTE,
+        critical: space.freeBytes < appConfig.DISK_MIN_FREE_MB * MEGABYTE,
+        checkedAt: Date.now()
+    };
+    if (diskStatus.low && !wasLow) {
+        logger.error(`[DISK] Low disk space (${context}): ${formatMegabytes(space.freeBytes)} MB free of ${formatMegabytes(space.totalBytes)} MB`);
+    } else if (!diskStatus.low && wasLow) {
+        logger.info(`[DISK] Disk space back to normal: ${formatMegabytes(space.freeBytes)} MB free`);
+    }
+    return diskStatus;
+}
+
+/**
+ * Kiểm tra dung lượng trước khi ghi. Thiếu dung lượng thì dọn dẹp ngay rồi kiểm tra lại.
+ * @param {string} context
+ * @returns {Promise<boolean>} False nếu vẫn dưới DISK_MIN_FREE_MB
+ */
+async function ensureDiskSpace(context) {
+    let status = await refreshDiskStatus(context);
+    if (status?.low) {
+        runRetention(`low disk (${context})`);
+        status = await refreshDiskStatus(context);
+    }
+    return !status?.critical;
+}
+
+function startRetention() {
+    runRetention('startup');
+    retentionInterval = setInterval(() => runRetention('scheduled'), appConfig.RETENTION_INTERVAL_MS);
+}
+
+function stopRetention() {
+    if (retentionInterval) {
+        clearInterval(retentionInterval);
+        retentionInterval = null;
+    }
+}
+
+/* --------------------------------------------------
+   9. Crash Recovery - Xử lý các bản ghi bị bỏ dở khi khởi động
+-------------------------------------------------- */
+
+/**
+ * Tạo tên file cuộc gọi theo thời điểm kết thúc (giống renderer)
+ * @param {Date} date
+ * @returns {string} zalo_call_YYYY_MM_DD_HH_MM_SS + đuôi của định dạng output
+ */
+function buildCallFilename(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    const timestamp = `${date.getFullYear()}_${pad(date.getMonth() + 1)}_${pad(date.getDate())}_${pad(date.getHours())}_${pad(date.getMinutes())}_${pad(date.getSeconds())}`;
+    return `zalo_call_${timestamp}${getOutputFormat().extension}`;
+}
+
+/**
+ * Remux file WebM bị cắt ngang (thiếu duration/cues) thành file WebM hợp lệ
+ * @param {string} inputPath
+ * @returns {Promise<string>} Đường dẫn file đã remux, hoặc file gốc nếu remux lỗi
+ */
+function remuxRecording(inputPath) {
+    const outputPath = inputPath.replace(PARTIAL_SUFFIX, '.recovered.webm');
+    const args = ['-y', '-fflags', '+genpts', '-i', inputPath, '-vn', '-c', 'copy', outputPath];
+
+    return new Promise((resolve) => {
+        execFile(FFMPEG_PATH, args, {
+            env: getCleanEnv(),
+            maxBuffer: 10 * 1024 * 1024
+        }, (error) => {
+            if (error || !fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
+                logger.error('remuxRecording: Remux failed, converting original file:', error?.message || 'empty output');
+                try {
+                    if (fs.existsSync(outputPath)) {
+                        fs.unlinkSync(outputPath);
+                    }
+                } catch {}
+                resolve(inputPath);
+                return;
+            }
+            resolve(outputPath);
+        });
+    });
+}
+
+/**
+ * Lấy thời lượng file audio bằng FFmpeg (đọc dòng "Duration:" trong stderr)
+ * @param {string} filePath
+ * @returns {Promise<number|null>} Thời lượng (ms) hoặc null nếu không đọc được
+ */
+function probeDurationMs(filePath) {
+    return new Promise((resolve) => {
+        execFile(FFMPEG_PATH, ['-i', filePath], {
+            env: getCleanEnv()
+        }, (error, stdout, stderr) => {
+            // FFmpeg luôn trả lỗi khi không có output file, chỉ cần stderr
+            const match = /Duration:\s*(\d+):(\d+):(\d+(?:\.\d+)?)/.exec(stderr || '');
+            if (!match) {
+                resolve(null);
+                return;
+            }
+            const [, hours, minutes, seconds] = match;
+            resolve(Math.round(((parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseFloat(seconds)) * 1000));
+        });
+    });
+}
+
+/**
+ * Khôi phục một bản ghi bị bỏ dở: remux/convert nếu cần rồi đưa vào upload queue
+ * @param {object} orphan - Kết quả từ findOrphanedRecordings
+ */
+async function recoverRecording(orphan) {
+    if (orphan.size === 0) {
+        fs.unlinkSync(orphan.path);
+        return;
+    }
+
+    let audioPath = orphan.path;
+    let beginTime = parseRecordingStartTime(orphan.recordingId) || orphan.birthtimeMs;
+    let endTime = orphan.mtimeMs;
+    let audioFilters = null;
+    let metadata = null;
+    // File .webm/.mp3 không chứa recordingId trong tên, tra trong catalog theo đường dẫn
+    let recordingId = orphan.recordingId || recordingCatalog.findByPath(orphan.path)?.id || null;
+
+    if (orphan.type === 'audio') {
+        // File đã convert: ưu tiên thông tin trong sidecar nếu có
+        metadata = readRecordingSidecar(orphan.path);
+        if (metadata) {
+            recordingId = recordingId || metadata.recording_id;
+            beginTime = Date.parse(metadata.begin_time) || beginTime;
+            endTime = Date.parse(metadata.end_time) || endTime;
+            metadata.recovered = true;
+        } else {
+            // mtime là lúc convert xong, suy ra lúc bắt đầu từ thời lượng
+            const durationMs = await probeDurationMs(orphan.path);
+            if (durationMs) {
+                beginTime = endTime - durationMs;
+            }
+            recordingId = recordingId || path.parse(orphan.path).name;
+            metadata = buildRecordingMetadata({
+                recordingId,
+                nameCode: getNameCode(),
+                appVersion: app.getVersion(),
+                codeVersion: getCodeVersion(),
+                beginTime,
+                endTime,
+                recovered: true
+            });
+        }
+    } else {
+        const webmPath = orphan.type === 'partial'
+            ? await remuxRecording(orphan.path)
+            : orphan.path;
+        const prerollPath = orphan.recordingId
+            ? path.join(path.dirname(orphan.path), `${orphan.recordingId}${PREROLL_SUFFIX}`)
+            : null;
+        const hasPreroll = prerollPath && fs.existsSync(prerollPath);
+        const trim = await detectSilenceTrim(webmPath, { prerollPath: hasPreroll ? prerollPath : null });
+        audioFilters = buildAudioFilterChain(appConfig, { trim });
+        // beginTime lấy từ recordingId (lúc bắt đầu ghi), audio còn có pre-roll nối vào trước
+        ({ beginTime, endTime } = getAudioTimeRange(beginTime - getWavDurationMs(hasPreroll ? prerollPath : null), endTime, trim));
+        audioPath = orphan.type === 'partial'
+            ? path.join(path.dirname(orphan.path), buildCallFilename(new Date(endTime)))
+            : orphan.path.replace(/\.webm$/i, getOutputFormat().extension);
+        recordingId = recordingId || path.parse(audioPath).name;
+        metadata = buildRecordingMetadata({
+            recordingId,
+            nameCode: getNameCode(),
+            appVersion: app.getVersion(),
+            codeVersion: getCodeVersion(),
+            beginTime,
+            endTime,
+            audioFilters: audioFilters.applied,
+            outputFormat: getOutputFormat().name,
+            recovered: true
+        });
+
+        try {
+            await convertRecording(webmPath, audioPath, {
+                prerollPath: hasPreroll ? prerollPath : null,
+                filters: audioFilters.filters,
+                metadata
+            });
+        } catch (err) {
+            // Đánh dấu để không thử lại ở các lần khởi động sau
+            const unrecoverablePath = orphan.path
+                .replace(PARTIAL_SUFFIX, '.webm')
+                .replace(/\.webm$/i, UNRECOVERABLE_SUFFIX);
+            fs.renameSync(orphan.path, unrecoverablePath);
+            recordingCatalog.addError(recordingId, 'recover', err, {
+                filePath: unrecoverablePath,
+                uploadState: 'conversion_failed'
+            });
+            throw err;
+        }
+
+        const tempPaths = new Set([webmPath, orphan.path]);
+        if (hasPreroll) {
+            tempPaths.add(prerollPath);
+        }
+        for (const tempPath of tempPaths) {
+            try {
+                fs.unlinkSync(tempPath);
+            } catch {}
+        }
+    }
+
+    // File trong RECORDING_WORK_DIR được chuyển (mã hóa) vào OUTPUT_DIR, sidecar ghi lại ở vị trí mới
+    let encrypted = false;
+    try {
+        const stored = await storeRecordingFile(audioPath);
+        if (stored.filePath !== audioPath) {
+            fs.rmSync(getSidecarPath(audioPath), { force: true });
+        }
+        ({ filePath: audioPath, encrypted } = stored);
+    } catch (err) {
+        logger.error('recoverRecording: Failed to encrypt recording:', err.message);
+    }
+    writeRecordingSidecar(audioPath, metadata);
+
+    await catalogAudioFile(recordingId, audioPath, {
+        beginTime,
+        endTime,
+        durationMs: Math.max(0, endTime - beginTime),
+        recovered: true,
+        encrypted
+    });
+
+    const job = uploadQueue.enqueue({
+        recordingId,
+        filePath: audioPath,
+        fileName: path.basename(audioPath),
+        contentType: contentTypeMap[path.extname(audioPath).toLowerCase()] || 'application/octet-stream',
+        beginTime,
+        endTime,
+        recovered: true,
+        // File audio đã convert từ trước: không biết filter nào đã được áp dụng
+        audioFilters: audioFilters ? audioFilters.applied : metadata?.audio_filters || null,
+        channelLayout: metadata?.channel_layout || null,
+        phoneNumber: metadata?.phone_number || null,
+        metadata
+    });
+    recordingCatalog.update(recordingId, { uploadState: 'queued', uploadJobId: job.id });
+    await uploadQueue.runNow(job.id);
+}
+
+/**
+ * Quét OUTPUT_DIR, RECORDING_WORK_DIR và khôi phục tất cả bản ghi bị bỏ dở từ lần chạy trước
+ */
+async function recoverInterruptedRecordings() {
+    let orphans;
+    try {
+        const queuedPaths = new Set(uploadQueue.list().map(job => job.filePath));
+        const options = {
+            // Tìm tất cả định dạng, kể cả file tạo ra trước khi đổi OUTPUT_FORMAT
+            audioExtensions: Object.keys(getAudioContentTypes()),
+            isQueued: filePath => queuedPaths.has(filePath),
+            isActive: recordingId => activeRecordings.has(recordingId)
+        };
+        orphans = [
+            ...findOrphanedRecordings(OUTPUT_DIR, options),
+            ...findOrphanedRecordings(RECORDING_WORK_DIR, options)
+        ];
+    } catch (err) {
+        logger.error('recoverInterruptedRecordings: Failed to scan output directory:', err.message);
+        return;
+    }
+
+    if (!orphans.length) {
+        return;
+    }
+
+    logger.info(`[RECOVERY] Found ${orphans.length} interrupted recording(s)`);
+    for (const orphan of orphans) {
+        try {
+            await recoverRecording(orphan);
+            logger.info(`[RECOVERY] Recovered ${orphan.type} recording: ${orphan.path}`);
+        } catch (err) {
+            logger.error(`[RECOVERY] Failed to recover ${orphan.path}:`, err.message);
+        }
+    }
+}
+
+/* --------------------------------------------------
+   9.1. Remote Config - Cấu hình theo máy/NAME_CODE từ server
+-------------------------------------------------- */
+
+// ID cố định của máy, server dùng để trả cấu hình riêng cho từng máy
+const DEVICE_ID = loadOrCreateDeviceId(path.join(app.getPath('userData'), 'device-id'));
+
+/**
+ * Lấy tài liệu cấu hình từ server, null nếu chưa cấu hình REMOTE_CONFIG_API
+ */
+async function fetchRemoteConfig() {
+    if (!appConfig.REMOTE_CONFIG_API) {
+        return null;
+    }
+    const query = new URLSearchParams({
+        device_id: DEVICE_ID,
+        name_code: getNameCode() || '',
+        app_version: app.getVersion()
+    });
+    const response = await callApi(
+        appConfig.API_URL,
+        `${appConfig.REMOTE_CONFIG_API}?${query}`,
+        'GET',
+        null,
+        { 'x-api-token': appConfig.SALE_TOKEN },
+        10000,
+        false
+    );
+    if (!response || response instanceof Error || !response.success || !response.data) {
+        throw new Error(`Remote config request failed: ${response?.message || 'Unknown error'}`);
+    }
+    return response.data;
+}
+
+const remoteConfigClient = createRemoteConfigClient({
+    fetchDocument: fetchRemoteConfig,
+    cacheFile: REMOTE_CONFIG_CACHE_FILE,
+    getIntervalMs: () => appConfig.REMOTE_CONFIG_INTERVAL_MS,
+    applyConfig: (config) => {
+        configStore.setRemoteLayer(config);
+    },
+    logger
 });
 
-app.on('before-quit', () => {
+/* --------------------------------------------------
+   10. Tray - Icon trạng thái và điều khiển ghi âm thủ công
+-------------------------------------------------- */
+
+let tray = null;
+let trayInterval = null;
+let trayMenuKey = null;
+const trayIcons = {};
+
+/**
+ * Icon của một trạng thái (tạo một lần rồi dùng lại)
+ */
+function getTrayIcon(status) {
+    if (!trayIcons[status]) {
+        const size = 32;
+        trayIcons[status] = nativeImage.createFromBitmap(
+            createCircleBitmap(size, TRAY_STATUSES[status].color),
+            { width: size, height: size, scaleFactor: 2 }
+        );
+    }
+    return trayIcons[status];
+}
+
+/**
+ * Trạng thái hiện tại để hiển thị trên tray, ưu tiên: ghi âm > upload lỗi > đang upload > Zalo > chờ
+ * @returns {{status: string, label: string, text: string}} label: hiển thị trong menu, text: tooltip (kèm thời gian ghi âm)
+ */
+function getTrayStatus() {
+    if (isRecording) {
+        const elapsed = currentCallSession ? formatElapsed(Date.now() - currentCallSession.startedAt) : '';
+        const label = isManualRecording() ? `${TRAY_STATUSES.recording.label} (thủ công)` : TRAY_STATUSES.recording.label;
+        return { status: 'recording', label, text: `${label} ${elapsed}`.trim() };
+    }
+
+    const jobs = uploadQueue.list();
+    const failedCount = jobs.filter(job => job.state === 'failed' || job.attempts > 0).length;
+    if (failedCount > 0) {
+        const label = `${TRAY_STATUSES.failed.label}: ${failedCount} bản ghi`;
+        return { status: 'failed', label, text: label };
+    }
+    const pendingCount = uploadQueue.size();
+    if (pendingCount > 0) {
+        const label = `${TRAY_STATUSES.uploading.label}: ${pendingCount} bản ghi`;
+        return { status: 'uploading', label, text: label };
+    }
+
+    const status = lastZaloRunning ? 'zalo' : 'idle';
+    return { status, label: TRAY_STATUSES[status].label, text: TRAY_STATUSES[status].label };
+}
+
+function getVersionLabel() {
+    const codeVersion = getCodeVersion();
+    return codeVersion ? `Phiên bản ${app.getVersion()} (code ${codeVersion})` : `Phiên bản ${app.getVersion()}`;
+}
+
+function buildTrayMenu(statusLabel) {
+    return Menu.buildFromTemplate([
+        { label: statusLabel, enabled: false },
+        { type: 'separator' },
+        {
+            label: 'Bắt đầu ghi âm',
+            enabled: !isRecording && !isCalibrating,
+            click: async () => {
+                if (!await ensureDiskSpace('manual-start')) {
+                    dialog.showErrorBox('Zalo Recorder', `Ổ đĩa chỉ còn ${formatMegabytes(diskStatus.freeBytes)} MB trống, không thể ghi âm.`);
+                    return;
+                }
+                // Trạng thái có thể đã đổi trong lúc kiểm tra ổ đĩa
+                if (isRecording || isCalibrating) {
+                    return;
+                }
+                logger.info('[START] Manual recording started from tray');
+                startCallRecording({ manual: true });
+                updateTray(true);
+            }
+        },
+        {
+            label: 'Dừng ghi âm',
+            enabled: isRecording,
+            click: () => {
+                logger.info('[STOP] Recording stopped from tray');
+                stopCallRecording();
+                updateTray(true);
+            }
+        },
+        { type: 'separator' },
+        {
+            label: 'Mở thư mục bản ghi',
+            click: async () => {
+                const error = await shell.openPath(OUTPUT_DIR);
+                if (error) {
+                    logger.error('Tray: Failed to open recordings folder:', error);
+                }
+            }
+        },
+        {
+            label: 'Hiệu chỉnh ngưỡng cuộc gọi...',
+            enabled: !isRecording && !isCalibrating,
+            click: () => {
+                runThresholdCalibration();
+            }
+        },
+        { label: getVersionLabel(), enabled: false },
+        ...(isCodeSigningKeyMissing()
+            ? [{ label: 'Thiếu khóa ký code - không cập nhật được code từ xa', enabled: false }]
+            : []),
+        { type: 'separator' },
+        { label: 'Thoát', click: () => app.quit() }
+    ]);
+}
+
+/**
+ * Cập nhật icon, tooltip và menu theo trạng thái hiện tại
+ * @param {boolean} [force=false] - Dựng lại menu kể cả khi trạng thái không đổi
+ */
+function updateTray(force = false) {
+    if (!tray) {
+        return;
+    }
+    const { status, label, text } = getTrayStatus();
+    tray.setImage(getTrayIcon(status));
+    tray.setToolTip(isCodeSigningKeyMissing()
+        ? `Zalo Recorder - ${text} (thiếu khóa ký code)`
+        : `Zalo Recorder - ${text}`);
+
+    // Chỉ dựng lại menu khi trạng thái đổi, tránh menu đang mở bị đóng mỗi giây
+    const menuKey = `${label}|${isRecording}|${isCalibrating}`;
+    if (force || menuKey !== trayMenuKey) {
+        trayMenuKey = menuKey;
+        tray.setContextMenu(buildTrayMenu(label));
+    }
+}
+
+function createTray() {
+    if (tray) {
+        return;
+    }
+    try {
+        tray = new Tray(getTrayIcon('idle'));
+        updateTray(true);
+        trayInterval = setInterval(() => updateTray(), 1000);
+    } catch (error) {
+        logger.error('createTray: Failed to create tray icon:', error.message);
+        tray = null;
+    }
+}
+
+function destroyTray() {
+    if (trayInterval) {
+        clearInterval(trayInterval);
+        trayInterval = null;
+    }
+    if (tray) {
+        tray.destroy();
+        tray = null;
+    }
+}
+
+/* --------------------------------------------------
+   11. Local API - HTTP API trên 127.0.0.1 cho ứng dụng khác (plugin CRM)
+-------------------------------------------------- */
+
+let controlServer = null;
+
+/**
+ * Thông tin cuộc gọi đang ghi (null nếu không ghi âm)
+ */
+function describeCurrentCall() {
+    if (!isRecording || !currentCallSession) {
+        return null;
+    }
+    return {
+        recordingId: currentCallSession.recordingId,
+        startedAt: new Date(currentCallSession.startedAt).toISOString(),
+        elapsedMs: Date.now() - currentCallSession.startedAt,
+        phoneNumber: currentCallSession.phoneNumber,
+        manual: !!currentCallSession.manual
+    };
+}
+
+const controlApiHandlers = {
+    getStatus() {
+        const jobs = uploadQueue.list();
+        return {
+            version: app.getVersion(),
+            codeVersion: getCodeVersion(),
+            nameCode: getNameCode(),
+            monitoring: !!monitoringInterval,
+            calibrating: isCalibrating,
+            zaloRunning: !!lastZaloRunning,
+            isRecording,
+            currentCall: describeCurrentCall(),
+            uploadQueue: {
+                pending: uploadQueue.size(),
+                failed: jobs.filter(job => job.state === 'failed').length
+            },
+            disk: diskStatus,
+            deferredUpdate: describeDeferredAction()
+        };
+    },
+
+    async startRecording() {
+        if (isCalibrating) {
+            throw createHttpError(409, 'Calibration in progress');
+        }
+        if (isRecording) {
+            throw createHttpError(409, 'Already recording');
+        }
+        if (!await ensureDiskSpace('manual-start')) {
+            throw createHttpError(507, `Not enough disk space (${formatMegabytes(diskStatus.freeBytes)} MB free)`);
+        }
+        // Trạng thái có thể đã đổi trong lúc kiểm tra ổ đĩa
+        if (isCalibrating || isRecording) {
+            throw createHttpError(409, isRecording ? 'Already recording' : 'Calibration in progress');
+        }
+        logger.info('[START] Manual recording started from local API');
+        startCallRecording({ manual: true });
+        updateTray(true);
+        return describeCurrentCall();
+    },
+
+    stopRecording() {
+        if (!isRecording) {
+            throw createHttpError(409, 'Not recording');
+        }
+        const call = describeCurrentCall();
+        logger.info('[STOP] Recording stopped from local API');
+        stopCallRecording();
+        updateTray(true);
+        return call;
+    },
+
+    listRecordings(query) {
+        return recordingCatalog.query({
+            uploadState: query.state ? query.state.split(',') : undefined,
+            since: query.since ? Date.parse(query.since) || Number(query.since) : undefined,
+            until: query.until ? Date.parse(query.until) || Number(query.until) : undefined,
+            phoneNumber: query.phone || undefined,
+            limit: parseInt(query.limit, 10) || 100
+        });
+    },
+
+    // ID job lấy từ trường uploadJobId của GET /recordings?state=failed
+    retryUpload(query) {
+        const job = uploadQueue.retry(query.id);
+        if (!job) {
+            throw createHttpError(404, `No failed upload job ${query.id}`);
+        }
+        logger.info(`[UPLOAD] Job ${job.id} (${job.recordingId}) re-queued from local API`);
+        recordingCatalog.update(job.recordingId, { uploadState: 'queued', attempts: 0 });
+        return { id: job.id, recordingId: job.recordingId };
+    },
+
+    removeUpload(query) {
+        const job = uploadQueue.remove(query.id);
+        if (!job) {
+            throw createHttpError(404, `No removable upload job ${query.id}`);
+        }
+        logger.info(`[UPLOAD] Job ${job.id} (${job.recordingId}) removed from local API, file kept: ${job.filePath}`);
+        recordingCatalog.update(job.recordingId, { uploadState: 'failed', uploadJobId: null });
+        return { id: job.id, recordingId: job.recordingId };
+    }
+};
+
+/**
+ * Bật HTTP API nếu LOCAL_API_ENABLED (mặc định tắt). Bắt buộc có LOCAL_API_TOKEN.
+ */
+async function startControlServer() {
+    if (!appConfig.LOCAL_API_ENABLED || controlServer) {
+        return;
+    }
+    if (!appConfig.LOCAL_API_TOKEN) {
+        logger.error('startControlServer: LOCAL_API_ENABLED is set but LOCAL_API_TOKEN is empty, local API disabled');
+        return;
+    }
+
+    const server = createControlServer({
+        port: appConfig.LOCAL_API_PORT,
+        token: String(appConfig.LOCAL_API_TOKEN),
+        handlers: controlApiHandlers,
+        logger
+    });
+    try {
+        await server.start();
+        controlServer = server;
+    } catch (error) {
+        logger.error('startControlServer: Failed to start local API:', error.message);
+    }
+}
+
+function stopControlServer() {
+    if (controlServer) {
+        controlServer.stop();
+        controlServer = null;
+    }
+}
+
+/* --------------------------------------------------
+   12. Shutdown - Lưu bản ghi đang dở trước khi thoát
+-------------------------------------------------- */
+
+// Đang chạy quy trình tắt app / đã xong, cho phép thoát
+let isShuttingDown = false;
+let shutdownComplete = false;
+// Nguồn yêu cầu tắt app (quit, session-end, SIGTERM...)
+let quitReason = 'quit';
+
+/**
+ * Đợi renderer lưu xong các bản ghi và đưa vào hàng đợi upload
+ * @param {number} timeoutMs
+ * @returns {Promise<boolean>} False nếu hết thời gian chờ
+ */
+async function waitForRecordingsToFinish(timeoutMs) {
+    const deadline = Date.now() + timeoutMs;
+    while (activeRecordings.size > 0 || finishingRecordings.size > 0) {
+        // Renderer đã mất thì không còn gì để đợi (recovery sẽ xử lý file dở ở lần chạy sau)
+        if (!mainWindow || mainWindow.isDestroyed() || !rendererLoaded) {
+            return false;
+        }
+        if (Date.now() >= deadline) {
+            return false;
+        }
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+    return true;
+}
+
+/**
+ * Dừng các tác vụ nền, dừng ghi âm và đợi bản ghi được lưu (tối đa SHUTDOWN_TIMEOUT_MS)
+ * @param {string} reason - Nguồn yêu cầu tắt (quit, session-end, SIGTERM...)
+ */
+async function shutdownGracefully(reason) {
+    logger.info(`[SHUTDOWN] Shutting down (${reason})`);
     if (monitoringInterval) {
         clearInterval(monitoringInterval);
+        monitoringInterval = null;
     }
     stopVersionCheck();
+    clearDeferredAction();
     stopClipboardMonitoring();
+    configStore.unwatch();
+    remoteConfigClient.stop();
+    heartbeat.stop();
+    stopControlServer();
+    stopRetention();
     if (isRecording) {
-        mainWindow.webContents.send('stop-recording');
+        stopCallRecording();
     }
+
+    const pending = activeRecordings.size + finishingRecordings.size;
+    if (pending > 0) {
+        const timeoutMs = appConfig.SHUTDOWN_TIMEOUT_MS;
+        logger.info(`[SHUTDOWN] Waiting for ${pending} recording(s) to be saved (timeout ${timeoutMs / 1000}s)`);
+        if (await waitForRecordingsToFinish(timeoutMs)) {
+            logger.info('[SHUTDOWN] Recordings saved and queued for upload');
+        } else {
+            logger.error('[SHUTDOWN] Recordings not saved before exit, they will be recovered on next start');
+        }
+    }
+    uploadQueue.stop();
+    recordingCatalog.flush();
+    destroyTray();
+}
+
+/**
+ * Bắt đầu tắt app (dùng cho tín hiệu hệ điều hành), quy trình thật chạy trong before-quit
+ */
+function requestQuit(reason) {
+    if (!isShuttingDown) {
+        quitReason = reason;
+    }
+    app.quit();
+}
+
+/**
+ * Còn bản ghi cần lưu: hệ điều hành nên đợi app
+ */
+function hasUnsavedRecordings() {
+    return isRecording || activeRecordings.size > 0 || finishingRecordings.size > 0;
+}
+
+/**
+ * Xử lý khi Windows đăng xuất/tắt máy và khi hệ thống tắt (Linux/macOS)
+ */
+function registerSessionEndHandlers() {
+    // Windows: hỏi trước khi kết thúc phiên, chặn lại để kịp lưu bản ghi
+    mainWindow.on('query-session-end', (event) => {
+        if (hasUnsavedRecordings()) {
+            event.preventDefault();
+        }
+        requestQuit('query-session-end');
+    });
+    // Windows: phiên đang kết thúc, không chặn được nữa - lưu được bao nhiêu hay bấy nhiêu
+    mainWindow.on('session-end', () => {
+        requestQuit('session-end');
+    });
+    // Linux/macOS: preventDefault để hệ thống đợi app thoát
+    powerMonitor.on('shutdown', (event) => {
+        event.preventDefault();
+        requestQuit('system shutdown');
+    });
+}
+
+['SIGINT', 'SIGTERM', 'SIGHUP'].forEach((signal) => {
+    process.on(signal, () => requestQuit(signal));
+});
+
+app.whenReady().then(() => {
+    // Lệnh giải mã bản ghi cho admin: chạy xong thì thoát, không khởi động app
+    const decryptArgIndex = process.argv.indexOf('--decrypt-recording');
+    if (decryptArgIndex !== -1) {
+        runDecryptRecordingCommand(process.argv.slice(decryptArgIndex + 1));
+        return;
+    }
+    // Version mới crash liên tục đã được rollback, khởi động lại với version trước
+    if (launchState.rolledBack) {
+        relaunchApp('rollback');
+        return;
+    }
+    resumeAfterRelaunch();
+    reportStartupConfigProblems();
+    // Tự động reload khi default.json/config.txt được tạo/thay đổi
+    configStore.watch();
+    // Lấy cấu hình từ server ngay và định kỳ
+    remoteConfigClient.start();
+    createWindow();
+    registerSessionEndHandlers();
+    createTray();
+    startMonitoring();
+    heartbeat.start();
+    startControlServer();
+    // Tiếp tục các upload còn dở từ lần chạy trước
+    uploadQueue.start();
+    // Khôi phục các bản ghi bị bỏ dở (mất điện, app restart giữa cuộc gọi)
+    recoverInterruptedRecordings();
+    // Dọn dẹp bản ghi/log cũ theo chính sách lưu trữ
+    startRetention();
+    // Chế độ hiệu chỉnh ngưỡng: chạy app với tham số --calibrate
+    if (process.argv.includes('--calibrate')) {
+        runThresholdCalibration();
+    }
+    startClipboardMonitoring();
+    // Kiểm tra version vừa cập nhật có chạy ổn không
+    scheduleUpdateHealthCheck();
+    // Bắt đầu auto-check version sau 10 giây (để app khởi động xong)
+    setTimeout(() => {
+        startVersionCheck();
+    }, 10000);
+    // startMonitoringTest();
+});
+
+app.on('window-all-closed', () => {
+    app.quit();
+});
+
+app.on('before-quit', (event) => {
+    if (shutdownComplete) {
+        return;
+    }
+    // Giữ app lại cho đến khi bản ghi đang dở được lưu và đưa vào hàng đợi upload
+    event.preventDefault();
+    if (isShuttingDown) {
+        return;
+    }
+    isShuttingDown = true;
+    shutdownGracefully(quitReason)
+        .catch((error) => {
+            logger.error('[SHUTDOWN] Error during shutdown:', error.message);
+        })
+        .finally(() => {
+            shutdownComplete = true;
+            app.quit();
+        });
 });
 
 
 // for test
 async function startMonitoringTest() {
     try {
-        mainWindow.webContents.send('start-recording');
+        startCallRecording();
         setTimeout(() => {
-            mainWindow.webContents.send('stop-recording');
+            stopCallRecording();
         }, 10000);
     } catch (error) {
-        console.error('Monitoring loop error:', error.message);
-        console.error('Stack error:', error.stack);
+        logger.error('Monitoring loop error:', error.message);
+        logger.error('Stack error:', error.stack);
     }
 }
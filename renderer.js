@@ -1,132 +1,425 @@
 const { ipcRenderer } = require('electron');
 
-// Logger utility để gửi ERROR về main process
-function logErrorToMain(...args) {
+/**
+ * Gửi log về main process để ghi vào file log chung (main lọc theo LOG_LEVEL,
+ * gắn version; renderer gắn recordingId đang ghi)
+ */
+function sendLogToMain(level, args) {
     try {
-        ipcRenderer.send('renderer-log', 'ERROR', ...args);
+        // Error không serialize được qua IPC, gửi kèm stack dạng chuỗi
+        const serializable = args.map(arg => (arg instanceof Error ? (arg.stack || `${arg.name}: ${arg.message}`) : arg));
+        ipcRenderer.send('renderer-log', level, serializable, currentRecording ? { call_id: currentRecording.id } : {});
     } catch (err) {
         // Nếu IPC không hoạt động, chỉ log ra console
         console.error('Failed to send log to main:', err);
     }
 }
 
-// Lưu console gốc
-const originalConsoleError = console.error;
-
-// Override console.error - Chỉ gửi ERROR về main process
-console.error = function(...args) {
-    originalConsoleError.apply(console, args);
-    logErrorToMain(...args);
+const logger = {
+    debug: (...args) => {
+        console.debug(...args);
+        sendLogToMain('debug', args);
+    },
+    info: (...args) => {
+        console.log(...args);
+        sendLogToMain('info', args);
+    },
+    warn: (...args) => {
+        console.warn(...args);
+        sendLogToMain('warn', args);
+    },
+    error: (...args) => {
+        console.error(...args);
+        sendLogToMain('error', args);
+    }
 };
 
-let combinedRecorder;
-let audioChunks = [];
-let startTime;
-let recording = false;
+// Log của renderer về main qua IPC 'renderer-log'; lỗi không được bắt cũng gửi theo đường này
+window.addEventListener('error', (event) => {
+    logger.error('Uncaught error:', event.error || event.message);
+});
+
+window.addEventListener('unhandledrejection', (event) => {
+    logger.error('Unhandled rejection:', event.reason);
+});
+
+// Bản ghi đang chạy, null khi không ghi. Mỗi bản ghi giữ trạng thái riêng để bản ghi đang được
+// dừng/lưu không đụng vào bản ghi mới:
+// { id, recorder, startTime, bytes, writeChain, writeFailed, starting }
+// writeFailed: ghi file lỗi, ngừng ghi nối chunk, file chỉ giữ phần audio đã ghi được (không bị hở giữa chừng)
+let currentRecording = null;
+// Bản ghi trước đang flush (dừng MediaRecorder, ghi nốt chunk, đóng audio graph): bản ghi mới đợi xong mới bắt đầu
+let stopInProgress = null;
 let audioContext;
 let destination;
+let mixBus;
+let sourceStreams = [];
+let graphOpening = null;
+let channelLayout = 'mixed';
+// Nguồn âm thanh đã kết nối được (ghi vào metadata bản ghi)
+let audioSources = { micConnected: false, systemConnected: false };
+
+// Pre-roll: luôn giữ N giây audio gần nhất khi Zalo đang chạy
+let prerollActive = false;
+let prerollSeconds = 0;
+let prerollProcessor = null;
+let prerollBuffers = null;
+let prerollWriteIndex = 0;
+let prerollFilled = 0;
 
 // Lắng nghe lệnh từ main process
-ipcRenderer.on('start-recording', async () => {
-    await startRecording();
+ipcRenderer.on('start-recording', async (event, { recordingId: id } = {}) => {
+    await startRecording(id);
 });
 
-ipcRenderer.on('stop-recording', async () => {
-    await stopRecording();
+ipcRenderer.on('stop-recording', async (event, { recordingId: id } = {}) => {
+    try {
+        await stopRecording();
+    } finally {
+        // Báo main process đã lưu xong và đưa vào hàng đợi upload (main đợi bước này khi tắt app)
+        ipcRenderer.send('recording-finished', { recordingId: id });
+    }
 });
 
-async function startRecording() {
-    if (recording) {
-        return;
+ipcRenderer.on('preroll-start', async () => {
+    await startPreroll();
+});
+
+ipcRenderer.on('preroll-stop', async () => {
+    await stopPreroll();
+});
+
+/**
+ * Mở AudioContext và kết nối mic + system audio vào mixBus.
+ * Dùng chung cho pre-roll và ghi âm, chỉ mở một lần.
+ * @returns {Promise<boolean>} True nếu có ít nhất một nguồn âm thanh
+ */
+function openAudioGraph() {
+    if (audioContext) {
+        return Promise.resolve(true);
+    }
+    if (!graphOpening) {
+        graphOpening = createAudioGraph().finally(() => {
+            graphOpening = null;
+        });
+    }
+    return graphOpening;
+}
+
+async function createAudioGraph() {
+    const options = await ipcRenderer.invoke('get-recording-options');
+    channelLayout = options.channelLayout === 'split' ? 'split' : 'mixed';
+    prerollSeconds = options.prerollSeconds || 0;
+    
+    // Tạo AudioContext để mix audio
+    audioContext = new AudioContext();
+    
+    destination = audioContext.createMediaStreamDestination();
+    
+    // Mọi nguồn đi qua mixBus (stereo) rồi mới tới destination và pre-roll
+    mixBus = audioContext.createGain();
+    mixBus.channelCount = 2;
+    mixBus.channelCountMode = 'explicit';
+    mixBus.connect(destination);
+    
+    // Chế độ split: mic ở kênh trái, system audio ở kênh phải
+    let micOutput = mixBus;
+    let systemOutput = mixBus;
+    let systemInputIndex = 0;
+    
+    if (channelLayout === 'split') {
+        const merger = audioContext.createChannelMerger(2);
+        merger.connect(mixBus);
+        micOutput = merger;
+        systemOutput = merger;
+        systemInputIndex = 1;
     }
     
-    recording = true;
-    audioChunks = [];
-    startTime = Date.now();
+    let micConnected = false;
+    let systemConnected = false;
     
+    // 1. Kết nối Microphone
     try {
-        // Tạo AudioContext để mix audio
-        audioContext = new AudioContext();
+        const micStream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                echoCancellation: true,
+                noiseSuppression: true,
+                autoGainControl: true,
+                sampleRate: 48000
+            }
+        });
+        sourceStreams.push(micStream);
         
-        destination = audioContext.createMediaStreamDestination();
+        const micSource = audioContext.createMediaStreamSource(micStream);
+        const micGain = audioContext.createGain();
+        micGain.gain.value = 1.2;
         
-        let micConnected = false;
-        let systemConnected = false;
+        micSource.connect(micGain);
+        micGain.connect(micOutput);
         
-        // 1. Kết nối Microphone
-        try {
-            const micStream = await navigator.mediaDevices.getUserMedia({
+        micConnected = true;
+    } catch (err) {
+        logger.error('Microphone error:', err);
+    }
+    
+    // 2. Connect System Audio
+    try {
+        const sources = await ipcRenderer.invoke('get-sources');
+        
+        const entireScreen = sources.find(source => 
+            source.name.toLowerCase().includes('entire') || 
+            source.name.toLowerCase().includes('screen') ||
+            source.id.includes('screen')
+        );
+        
+        if (entireScreen) {
+            const systemStream = await navigator.mediaDevices.getUserMedia({
                 audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true,
-                    sampleRate: 48000
+                    mandatory: {
+                        chromeMediaSource: 'desktop',
+                        chromeMediaSourceId: entireScreen.id
+                    }
+                },
+                video: {
+                    mandatory: {
+                        chromeMediaSource: 'desktop',
+                        chromeMediaSourceId: entireScreen.id,
+                        maxWidth: 1,
+                        maxHeight: 1
+                    }
                 }
             });
+            sourceStreams.push(systemStream);
             
-            const micSource = audioContext.createMediaStreamSource(micStream);
-            const micGain = audioContext.createGain();
-            micGain.gain.value = 1.2;
+            const audioTracks = systemStream.getAudioTracks();
             
-            micSource.connect(micGain);
-            micGain.connect(destination);
-            
-            micConnected = true;
-        } catch (err) {
-            console.error('Microphone error:', err);
-        }
-        
-        // 2. Connect System Audio
-        try {
-            const sources = await ipcRenderer.invoke('get-sources');
-            
-            const entireScreen = sources.find(source => 
-                source.name.toLowerCase().includes('entire') || 
-                source.name.toLowerCase().includes('screen') ||
-                source.id.includes('screen')
-            );
-            
-            if (entireScreen) {
-                const systemStream = await navigator.mediaDevices.getUserMedia({
-                    audio: {
-                        mandatory: {
-                            chromeMediaSource: 'desktop',
-                            chromeMediaSourceId: entireScreen.id
-                        }
-                    },
-                    video: {
-                        mandatory: {
-                            chromeMediaSource: 'desktop',
-                            chromeMediaSourceId: entireScreen.id,
-                            maxWidth: 1,
-                            maxHeight: 1
-                        }
-                    }
-                });
+            if (audioTracks.length > 0) {
+                const systemAudioStream = new MediaStream([audioTracks[0]]);
+                const systemSource = audioContext.createMediaStreamSource(systemAudioStream);
                 
-                const audioTracks = systemStream.getAudioTracks();
+                const systemGain = audioContext.createGain();
+                systemGain.gain.value = 1.0;
                 
-                if (audioTracks.length > 0) {
-                    const systemAudioStream = new MediaStream([audioTracks[0]]);
-                    const systemSource = audioContext.createMediaStreamSource(systemAudioStream);
-                    
-                    const systemGain = audioContext.createGain();
-                    systemGain.gain.value = 1.0;
-                    
-                    systemSource.connect(systemGain);
-                    systemGain.connect(destination);
-                    
-                    systemConnected = true;
-                }
+                systemSource.connect(systemGain);
+                systemGain.connect(systemOutput, 0, systemInputIndex);
+                
+                systemConnected = true;
             }
-        } catch (err) {
-            console.error('System audio error:', err);
         }
+    } catch (err) {
+        logger.error('System audio error:', err);
+    }
+    
+    // 3. Kiểm tra nguồn âm thanh
+    if (!micConnected && !systemConnected) {
+        logger.error('No audio sources available!');
+        await closeAudioGraph();
+        return false;
+    }
+    
+    audioSources = { micConnected, systemConnected };
+    return true;
+}
+
+/**
+ * Dừng tất cả nguồn âm thanh và đóng AudioContext
+ */
+async function closeAudioGraph() {
+    sourceStreams.forEach((stream) => {
+        stream.getTracks().forEach((track) => {
+            track.stop();
+        });
+    });
+    sourceStreams = [];
+    
+    if (destination) {
+        destination.stream.getTracks().forEach((track) => {
+            track.stop();
+        });
+    }
+    
+    // Đóng AudioContext
+    if (audioContext) {
+        if (audioContext.state !== 'closed') {
+            await audioContext.close();
+        }
+    }
+    
+    audioContext = null;
+    destination = null;
+    mixBus = null;
+    prerollProcessor = null;
+    prerollBuffers = null;
+}
+
+/**
+ * Bắt đầu giữ pre-roll (main gửi khi phát hiện Zalo đang chạy)
+ */
+async function startPreroll() {
+    if (prerollActive) {
+        return;
+    }
+    prerollActive = true;
+    
+    try {
+        const opened = await openAudioGraph();
+        if (!opened || prerollSeconds <= 0 || !prerollActive) {
+            prerollActive = false;
+            if (!isAudioGraphInUse()) {
+                await closeAudioGraph();
+            }
+            return;
+        }
+        attachPrerollTap();
+    } catch (err) {
+        logger.error('startPreroll: Error:', err);
+        prerollActive = false;
+    }
+}
+
+/**
+ * Audio graph đang được bản ghi dùng (đang ghi hoặc đang flush bản ghi vừa dừng)
+ */
+function isAudioGraphInUse() {
+    return !!currentRecording || !!stopInProgress;
+}
+
+/**
+ * Dừng pre-roll (Zalo đã tắt). Nếu đang ghi thì giữ graph tới khi ghi xong.
+ */
+async function stopPreroll() {
+    if (!prerollActive) {
+        return;
+    }
+    prerollActive = false;
+    
+    if (!isAudioGraphInUse() && !graphOpening) {
+        await closeAudioGraph();
+    }
+}
+
+/**
+ * Gắn ScriptProcessor vào mixBus để ghi liên tục vào ring buffer
+ */
+function attachPrerollTap() {
+    if (prerollProcessor || !audioContext) {
+        return;
+    }
+    
+    const length = Math.ceil(audioContext.sampleRate * prerollSeconds);
+    prerollBuffers = [new Float32Array(length), new Float32Array(length)];
+    resetPrerollBuffer();
+    
+    prerollProcessor = audioContext.createScriptProcessor(4096, 2, 2);
+    prerollProcessor.onaudioprocess = (event) => {
+        const input = event.inputBuffer;
+        const frames = input.length;
         
-        // 3. Kiểm tra nguồn âm thanh
-        if (!micConnected && !systemConnected) {
-            console.error('No audio sources available!');
-            recording = false;
+        for (let channel = 0; channel < 2; channel++) {
+            const data = input.getChannelData(Math.min(channel, input.numberOfChannels - 1));
+            const ring = prerollBuffers[channel];
+            for (let i = 0; i < frames; i++) {
+                ring[(prerollWriteIndex + i) % length] = data[i];
+            }
+        }
+        
+        prerollWriteIndex = (prerollWriteIndex + frames) % length;
+        prerollFilled = Math.min(length, prerollFilled + frames);
+    };
+    
+    mixBus.connect(prerollProcessor);
+    // ScriptProcessor chỉ chạy khi được nối tới output (output luôn là im lặng)
+    prerollProcessor.connect(audioContext.destination);
+}
+
+function resetPrerollBuffer() {
+    prerollWriteIndex = 0;
+    prerollFilled = 0;
+}
+
+/**
+ * Lấy nội dung ring buffer hiện tại dưới dạng file WAV 16-bit stereo
+ * @returns {{wav: Uint8Array, durationMs: number}|null}
+ */
+function takePrerollWav() {
+    if (!prerollProcessor || !prerollBuffers || prerollFilled === 0) {
+        return null;
+    }
+    
+    const sampleRate = audioContext.sampleRate;
+    const length = prerollBuffers[0].length;
+    const frames = prerollFilled;
+    const start = (prerollWriteIndex - frames + length) % length;
+    
+    const buffer = new ArrayBuffer(44 + frames * 4);
+    const view = new DataView(buffer);
+    const writeString = (offset, text) => {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    };
+    
+    // WAV header (PCM, 2 kênh, 16-bit)
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + frames * 4, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, 2, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 4, true);
+    view.setUint16(32, 4, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, frames * 4, true);
+    
+    let offset = 44;
+    for (let i = 0; i < frames; i++) {
+        for (let channel = 0; channel < 2; channel++) {
+            const sample = Math.max(-1, Math.min(1, prerollBuffers[channel][(start + i) % length]));
+            view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+            offset += 2;
+        }
+    }
+    
+    return {
+        wav: new Uint8Array(buffer),
+        durationMs: Math.round((frames / sampleRate) * 1000)
+    };
+}
+
+async function startRecording(id) {
+    if (currentRecording) {
+        return;
+    }
+    
+    const rec = {
+        id,
+        recorder: null,
+        startTime: null,
+        bytes: 0,
+        writeChain: Promise.resolve(),
+        writeFailed: false,
+        starting: null
+    };
+    currentRecording = rec;
+    // stopRecording đợi bước này để không dừng một recorder chưa được tạo
+    rec.starting = openRecorder(rec);
+    await rec.starting;
+}
+
+/**
+ * Mở audio graph và bắt đầu MediaRecorder cho bản ghi
+ * @param {object} rec - currentRecording
+ */
+async function openRecorder(rec) {
+    // Đợi bản ghi trước flush xong (không dùng chung audio graph đang bị đóng)
+    await stopInProgress;
+    rec.startTime = Date.now();
+    
+    try {
+        if (!await openAudioGraph()) {
             return;
         }
         
@@ -150,145 +443,199 @@ async function startRecording() {
         }
         
         if (!selectedMimeType) {
-            console.error('No supported MIME type found!');
-            recording = false;
+            logger.error('No supported MIME type found!');
             return;
         }
         
-        combinedRecorder = new MediaRecorder(combinedStream, {
+        const recorder = new MediaRecorder(combinedStream, {
             mimeType: selectedMimeType,
             audioBitsPerSecond: 128000
         });
         
-        combinedRecorder.ondataavailable = (event) => {
+        recorder.ondataavailable = (event) => {
             if (event.data && event.data.size > 0) {
-                audioChunks.push(event.data);
+                // Ghi tuần tự để giữ đúng thứ tự các chunk
+                const chunk = event.data;
+                rec.writeChain = rec.writeChain.then(() => writeChunk(rec, chunk));
             }
         };
         
-        combinedRecorder.onerror = (event) => {
-            console.error('MediaRecorder error:', event.error);
+        recorder.onerror = (event) => {
+            logger.error('MediaRecorder error:', event.error);
         };
         
-        combinedRecorder.start(1000);
+        // Chụp pre-roll ngay trước khi bắt đầu ghi để không bị hở/chồng đoạn
+        const preroll = takePrerollWav();
+        recorder.start(1000);
+        rec.recorder = recorder;
+        if (preroll) {
+            rec.startTime -= preroll.durationMs;
+        }
+        
+        // Tạo file tạm trên đĩa (kèm pre-roll), các chunk sẽ được ghi nối sau bước này
+        rec.writeChain = beginRecordingFile(rec, preroll);
         
     } catch (err) {
-        console.error('startRecording: Critical error:', err);
-        recording = false;
+        logger.error('startRecording: Critical error:', err);
     }
 }
 
-async function stopRecording() {
-    if (!recording) {
+/**
+ * Đăng ký bản ghi với main process và gửi pre-roll (nếu có)
+ */
+async function beginRecordingFile(rec, preroll) {
+    try {
+        await ipcRenderer.invoke('recording-begin', {
+            recordingId: rec.id,
+            startTime: rec.startTime,
+            channelLayout,
+            micConnected: audioSources.micConnected,
+            systemConnected: audioSources.systemConnected
+        });
+        if (preroll) {
+            await ipcRenderer.invoke('recording-preroll', { recordingId: rec.id, wav: preroll.wav });
+        }
+    } catch (err) {
+        logger.error('beginRecordingFile: Failed to create recording file:', err);
+        markRecordingFailed(rec, 'begin', err);
+    }
+}
+
+/**
+ * Gửi một chunk sang main process để ghi nối vào file tạm
+ */
+async function writeChunk(rec, blob) {
+    if (rec.writeFailed) {
         return;
     }
-    
-    recording = false;
-    
-    // Đợi MediaRecorder hoàn tất việc ghi và flush tất cả data chunks
-    await new Promise((resolve, reject) => {
-        if (!combinedRecorder) {
-            resolve();
-            return;
-        }
-        
-        // Nếu recorder đã inactive, không cần đợi
-        if (combinedRecorder.state === 'inactive') {
+    try {
+        const buffer = await blob.arrayBuffer();
+        await ipcRenderer.invoke('recording-chunk', {
+            recordingId: rec.id,
+            chunk: new Uint8Array(buffer)
+        });
+        rec.bytes += buffer.byteLength;
+    } catch (err) {
+        logger.error('writeChunk: Failed to write chunk:', err);
+        markRecordingFailed(rec, 'write', err);
+    }
+}
+
+/**
+ * Đánh dấu bản ghi lỗi ghi file và báo main process (ghi vào catalog).
+ * Các chunk sau không được ghi nữa để file không bị thiếu đoạn ở giữa.
+ */
+function markRecordingFailed(rec, stage, err) {
+    if (rec.writeFailed) {
+        return;
+    }
+    rec.writeFailed = true;
+    logger.error(`Recording ${rec.id} failed at ${stage}, no more audio will be written`);
+    ipcRenderer.send('recording-failed', { recordingId: rec.id, stage, message: err?.message || String(err) });
+}
+
+/**
+ * Dừng MediaRecorder và đợi tất cả data chunk được flush
+ */
+function stopRecorder(recorder) {
+    return new Promise((resolve) => {
+        // Nếu recorder chưa được tạo hoặc đã inactive, không cần đợi
+        if (!recorder || recorder.state === 'inactive') {
             resolve();
             return;
         }
         
         // Lắng nghe event onstop để đảm bảo tất cả data đã được flush
         const timeout = setTimeout(() => {
-            console.error('stopRecording: Timeout waiting for MediaRecorder to stop');
+            logger.error('stopRecording: Timeout waiting for MediaRecorder to stop');
             resolve(); // Vẫn resolve để không block
         }, 5000); // Timeout 5 giây
         
-        combinedRecorder.onstop = () => {
+        recorder.onstop = () => {
             clearTimeout(timeout);
             resolve();
         };
         
         // Dừng recorder - sẽ trigger event onstop khi hoàn tất
         try {
-            combinedRecorder.stop();
+            recorder.stop();
         } catch (err) {
             clearTimeout(timeout);
-            console.error('stopRecording: Error stopping recorder:', err);
+            logger.error('stopRecording: Error stopping recorder:', err);
             resolve(); // Vẫn resolve để không block
         }
-        
-        // Dừng các audio tracks
-        const stream = combinedRecorder.stream;
-        if (stream) {
-            const tracks = stream.getTracks();
-            tracks.forEach((track) => {
-                track.stop();
-            });
-        }
     });
+}
+
+async function stopRecording() {
+    const rec = currentRecording;
+    if (!rec) {
+        return;
+    }
     
-    // Đợi thêm một chút để đảm bảo tất cả data chunks đã được push vào audioChunks
-    await new Promise(resolve => setTimeout(resolve, 500));
+    // Từ đây chỉ làm việc với `rec`: một bản ghi mới có thể bắt đầu ngay khi flush xong
+    currentRecording = null;
+    // Thời điểm kết thúc cuộc gọi, trước khi flush/convert
+    const endTime = Date.now();
     
-    // Đóng AudioContext
-    if (audioContext) {
-        if (audioContext.state !== 'closed') {
-            await audioContext.close();
+    let releaseAudioGraph;
+    const flushing = new Promise((resolve) => {
+        releaseAudioGraph = resolve;
+    });
+    stopInProgress = flushing;
+    try {
+        await rec.starting;
+        await stopRecorder(rec.recorder);
+        
+        // Đợi tất cả chunk đã được ghi xuống đĩa
+        await rec.writeChain;
+        
+        // Giữ audio graph nếu pre-roll còn chạy (Zalo vẫn mở), ngược lại đóng lại
+        if (prerollActive) {
+            resetPrerollBuffer();
+        } else {
+            await closeAudioGraph();
+        }
+    } finally {
+        if (stopInProgress === flushing) {
+            stopInProgress = null;
         }
+        releaseAudioGraph();
     }
     
     const now = new Date();
     const pad = (n) => String(n).padStart(2, '0');
     const timestamp = `${now.getFullYear()}_${pad(now.getMonth() + 1)}_${pad(now.getDate())}_${pad(now.getHours())}_${pad(now.getMinutes())}_${pad(now.getSeconds())}`;
-    const filename = `zalo_call_${timestamp}.mp3`;
+    // Đuôi file do main process quyết định theo OUTPUT_FORMAT
+    const filename = `zalo_call_${timestamp}`;
     
     // Lưu file
-    if (audioChunks.length > 0) {
+    if (rec.bytes > 0) {
         try {
-            const audioBlob = new Blob(audioChunks, { type: 'audio/webm' });
-            
-            if (audioBlob.size === 0) {
-                console.error('Blob is empty!');
-                throw new Error('Blob is empty');
-            }
-            
-            const audioData = await blobToDataURL(audioBlob);
-            
             const result = await ipcRenderer.invoke('save-file', {
                 filename: filename,
-                dataUrl: audioData
+                recordingId: rec.id,
+                endTime
             });
             
+            // Main trả về thời gian của audio trong file (đã trừ khoảng lặng bị cắt)
             const timeParams = {
-                beginTime: startTime,
-                endTime: Date.now()
+                beginTime: result.beginTime ?? rec.startTime,
+                endTime: result.endTime ?? endTime
             };
             
-            // Upload file to server
+            // Đưa vào hàng đợi upload (main upload ở nền)
             await ipcRenderer.invoke('upload-file', {
+                recordingId: rec.id,
                 timeParams,
-                filePath: result.path
+                filePath: result.path,
+                channelLayout: result.channelLayout,
+                audioFilters: result.audioFilters
             });
         } catch (err) {
-            console.error('stopRecording: Error saving file:', err.name, err.message);
+            logger.error('stopRecording: Error saving file:', err.name, err.message);
         }
     } else {
-        console.error('stopRecording: No audio data available!');
+        logger.error('stopRecording: No audio data available!');
     }
-    
-    // Reset
-    audioChunks = [];
-    combinedRecorder = null;
-    audioContext = null;
-    destination = null;
-}
-
-function blobToDataURL(blob) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onloadend = () => resolve(reader.result);
-        reader.onerror = reject;
-        reader.readAsDataURL(blob);
-    });
 }
@@ -0,0 +1,26 @@
+/**
+ * Kiểm tra public key ký code (keys/code-signing.pub.pem) trước khi build (npm run build -> prebuild).
+ * Thiếu key thì bản cài không bao giờ nhận code remote, nên build bị dừng.
+ *
+ * Key không nằm trong repo: tạo một lần bằng
+ *   node scripts/sign-manifest.js --generate-key <thư mục>
+ * rồi copy <thư mục>/code-signing.pub.pem vào keys/ (CI: ghi từ secret vào keys/ trước bước build).
+ * Private key giữ ngoài repo, chỉ dùng để ký manifest.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_PATH = path.join(__dirname, '..', 'keys', 'code-signing.pub.pem');
+
+try {
+    if (!fs.existsSync(KEY_PATH)) {
+        throw new Error(`Code signing public key not found: ${KEY_PATH}\n`
+            + 'Generate it with "node scripts/sign-manifest.js --generate-key <dir>" and copy code-signing.pub.pem into keys/');
+    }
+    const key = crypto.createPublicKey(fs.readFileSync(KEY_PATH, 'utf8'));
+    console.log(`Code signing public key (${key.asymmetricKeyType}): ${KEY_PATH}`);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,40 @@
+/**
+ * Giải mã bản ghi được upload dạng mã hóa (RECORDING_UPLOAD_MODE=encrypted).
+ * Khóa của máy được bọc bằng public key của server, gửi kèm trong lịch sử cuộc gọi
+ * (trường encryption.wrapped_key).
+ *
+ *   node scripts/decrypt-recording.js --private-key <private.pem> --wrapped-key <base64> <input> <output>
+ *
+ * Giải mã trực tiếp trên máy agent (dùng khóa của máy):
+ *   "Zalo Recorder (ThienHD).exe" --decrypt-recording <input> <output>
+ */
+const fs = require('fs');
+const { decryptFile, unwrapKey } = require('../utils/recording-crypto');
+
+function parseArgs(argv) {
+    const args = { files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--private-key' || argv[i] === '--wrapped-key') {
+            args[argv[i].slice(2)] = argv[++i];
+        } else {
+            args.files.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const [input, output] = args.files;
+    if (!args['private-key'] || !args['wrapped-key'] || !input || !output) {
+        throw new Error('Usage: decrypt-recording.js --private-key <private.pem> --wrapped-key <base64> <input> <output>');
+    }
+    const key = unwrapKey(args['wrapped-key'], fs.readFileSync(args['private-key'], 'utf8'));
+    await decryptFile(input, output, key);
+    console.log(`Decrypted ${input} -> ${output}`);
+}
+
+main().catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+});
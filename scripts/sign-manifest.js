@@ -0,0 +1,68 @@
+/**
+ * Tạo manifest.json (version + SHA-256 của từng file) và chữ ký manifest.json.sig
+ * cho bản cập nhật code remote.
+ *
+ * Tạo cặp khóa (chỉ làm một lần, giữ private key ngoài repo):
+ *   node scripts/sign-manifest.js --generate-key <thư mục>
+ *   -> <thư mục>/code-signing.key.pem (bí mật) và code-signing.pub.pem (copy vào keys/ của app)
+ *
+ * Ký bản phát hành (chạy ở thư mục gốc repo, trước khi push):
+ *   node scripts/sign-manifest.js --key <private.pem> [--version 1.2.0] main.js renderer.js
+ *   (version mặc định lấy từ package.json)
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { MANIFEST_FILE, SIGNATURE_FILE, sha256Buffer } = require('../utils/code-signing');
+
+function parseArgs(argv) {
+    const args = { files: [] };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--generate-key' || argv[i] === '--key' || argv[i] === '--version' || argv[i] === '--out') {
+            args[argv[i].slice(2)] = argv[++i];
+        } else {
+            args.files.push(argv[i]);
+        }
+    }
+    return args;
+}
+
+function generateKey(dir) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ed25519');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'code-signing.key.pem'), privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+    fs.writeFileSync(path.join(dir, 'code-signing.pub.pem'), publicKey.export({ type: 'spki', format: 'pem' }));
+    console.log(`Key pair written to ${dir}`);
+}
+
+function signManifest({ key, version, out = '.', files }) {
+    if (!key || !files.length) {
+        throw new Error('Usage: sign-manifest.js --key <private.pem> [--version <v>] [--out <dir>] <file>...');
+    }
+    const manifest = {
+        version: version || require(path.resolve('package.json')).version,
+        createdAt: new Date().toISOString(),
+        files: {}
+    };
+    files.forEach((file) => {
+        manifest.files[path.basename(file)] = { sha256: sha256Buffer(fs.readFileSync(file)) };
+    });
+
+    const manifestBuffer = Buffer.from(JSON.stringify(manifest, null, 2), 'utf8');
+    const signature = crypto.sign(null, manifestBuffer, fs.readFileSync(key, 'utf8'));
+    fs.writeFileSync(path.join(out, MANIFEST_FILE), manifestBuffer);
+    fs.writeFileSync(path.join(out, SIGNATURE_FILE), signature.toString('base64'));
+    console.log(`Signed manifest ${manifest.version}: ${Object.keys(manifest.files).join(', ')}`);
+}
+
+try {
+    const args = parseArgs(process.argv.slice(2));
+    if (args['generate-key']) {
+        generateKey(args['generate-key']);
+    } else {
+        signManifest(args);
+    }
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTasklistCsv, parseTypeperfValue } = require('../utils/process-probe/windows');
+const { createLinuxProbe, normalizeProcessName, parseStatusRssKB, parseStatCpuTicks } = require('../utils/process-probe/linux');
+
+test('parseTasklistCsv đọc bộ nhớ với dấu phân cách hàng nghìn của các ngôn ngữ', () => {
+    const stdout = [
+        '"ZaloCall.exe","1234","Console","1","123,456 K"',
+        '"ZaloCall.exe","1235","Console","1","123.456 K"',
+        '"Zalo.exe","88","Console","1","1 234 567 K"',
+        ''
+    ].join('\r\n');
+    assert.deepEqual(parseTasklistCsv(stdout), [
+        { name: 'ZaloCall.exe', pid: 1234, memoryKB: 123456 },
+        { name: 'ZaloCall.exe', pid: 1235, memoryKB: 123456 },
+        { name: 'Zalo.exe', pid: 88, memoryKB: 1234567 }
+    ]);
+});
+
+test('parseTasklistCsv bỏ qua dòng INFO khi không có process', () => {
+    assert.deepEqual(parseTasklistCsv('INFO: No tasks are running which match the specified criteria.\r\n'), []);
+});
+
+test('parseTypeperfValue lấy giá trị dòng cuối, chấp nhận dấu phẩy thập phân', () => {
+    const header = '"(PDH-CSV 4.0)","\\\\PC\\Process(ZaloCall)\\% Processor Time"';
+    assert.equal(parseTypeperfValue(`\r\n${header}\r\n"10/19/2026 10:00:00.000","12.5"\r\n`), 12.5);
+    assert.equal(parseTypeperfValue(`${header}\r\n"19.10.2026 10:00:00.000","3,25"\r\n`), 3.25);
+    assert.equal(parseTypeperfValue(header), 0);
+});
+
+test('parseStatCpuTicks cộng utime + stime, tên process có khoảng trắng và dấu ngoặc', () => {
+    const stat = '4242 (Zalo Call (x)) S 1 4242 4242 0 -1 4194304 100 0 0 0 150 25 0 0 20 0 8 0 12345 1000 200';
+    assert.equal(parseStatCpuTicks(stat), 175);
+});
+
+test('parseStatusRssKB lấy VmRSS', () => {
+    assert.equal(parseStatusRssKB('Name:\tZaloCall\nVmPeak:\t 900 kB\nVmRSS:\t  123456 kB\n'), 123456);
+    assert.equal(parseStatusRssKB('Name:\tkthreadd\n'), 0);
+});
+
+test('normalizeProcessName bỏ đuôi .exe và không phân biệt hoa thường', () => {
+    assert.equal(normalizeProcessName(' ZaloCall.EXE '), 'zalocall');
+});
+
+test('createLinuxProbe tìm process theo comm/argv0 trong /proc', async () => {
+    const procDir = fs.mkdtempSync(path.join(os.tmpdir(), 'proc-'));
+    const addProcess = (pid, files) => {
+        fs.mkdirSync(path.join(procDir, String(pid)));
+        Object.entries(files).forEach(([file, content]) => {
+            fs.writeFileSync(path.join(procDir, String(pid), file), content);
+        });
+    };
+    try {
+        addProcess(100, { comm: 'bash\n', cmdline: '/bin/bash\0' });
+        // Chạy qua Wine: comm và argv[0] có đuôi .exe
+        addProcess(200, {
+            comm: 'ZaloCall.exe\n',
+            cmdline: 'C:\\Zalo\\ZaloCall.exe\0--type=call\0',
+            status: 'Name:\tZaloCall.exe\nVmRSS:\t  204800 kB\n',
+            stat: '200 (ZaloCall.exe) S 1 200 200 0 -1 0 0 0 0 0 10 5 0 0 20 0 1 0 1 1 1'
+        });
+        fs.mkdirSync(path.join(procDir, 'self'));
+
+        const probe = createLinuxProbe({ procDir, cpuSampleMs: 10 });
+        assert.equal(await probe.isRunning('ZaloCall.exe'), true);
+        assert.equal(await probe.isRunning('Zalo.exe'), false);
+        assert.equal(await probe.memoryKB('ZaloCall.exe'), 204800);
+        assert.equal(await probe.memoryKB('Zalo.exe'), 0);
+        // Số tick không đổi giữa 2 lần đọc
+        assert.equal(await probe.cpuPercent('ZaloCall.exe'), 0);
+
+        // Tăng utime + stime thêm 10 tick (0,1 giây CPU) trong lúc lấy mẫu
+        const slowProbe = createLinuxProbe({ procDir, cpuSampleMs: 200 });
+        const sampling = slowProbe.cpuPercent('ZaloCall.exe');
+        fs.writeFileSync(path.join(procDir, '200', 'stat'), '200 (ZaloCall.exe) S 1 200 200 0 -1 0 0 0 0 0 18 7 0 0 20 0 1 0 1 1 1');
+        const percent = await sampling;
+        assert.ok(percent > 0 && percent <= 50, `expected about 50%, got ${percent}`);
+    } finally {
+        fs.rmSync(procDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,127 @@
+/**
+ * Tạo chuỗi filter FFmpeg cho bước hậu xử lý audio.
+ * Mỗi filter bật/tắt riêng theo cấu hình của từng máy:
+ * - AUDIO_HIGHPASS_HZ: cắt tần số thấp (tiếng ù, rung bàn), 0 = tắt
+ * - AUDIO_TRIM_SILENCE_ENABLED: cắt khoảng lặng ở đầu và cuối bản ghi
+ * - AUDIO_SILENCE_THRESHOLD_DB: mức âm lượng coi là im lặng
+ * - AUDIO_SILENCE_MIN_SECONDS: khoảng lặng ngắn hơn thì không cắt
+ * - AUDIO_LOUDNORM_ENABLED: chuẩn hóa âm lượng (EBU R128)
+ * - AUDIO_LOUDNORM_TARGET_LUFS: mức âm lượng đích
+ *
+ * Cắt khoảng lặng cần biết trước vị trí cắt (từ buildSilenceDetectFilters + parseSilenceTrim),
+ * không dùng areverse vì filter này giữ toàn bộ audio đã decode trong bộ nhớ.
+ *
+ * @param {object} config - appConfig
+ * @param {object} [options]
+ * @param {{startSeconds: number, endSeconds: number|null, durationSeconds: number}|null} [options.trim] -
+ *        Vị trí cắt; null = không cắt (chưa dò được khoảng lặng)
+ * @returns {{filters: string[], applied: object[]}} filters: các filter FFmpeg theo thứ tự,
+ *          applied: mô tả các filter đã dùng (ghi vào metadata cuộc gọi)
+ */
+function buildAudioFilterChain(config, { trim = null } = {}) {
+    const filters = getHighpassFilters(config);
+    const applied = filters.length ? [{ name: 'highpass', frequency_hz: config.AUDIO_HIGHPASS_HZ }] : [];
+
+    if (config.AUDIO_TRIM_SILENCE_ENABLED && trim) {
+        if (trim.startSeconds > 0 || trim.endSeconds !== null) {
+            const end = trim.endSeconds !== null ? `:end=${trim.endSeconds}` : '';
+            // atrim xử lý theo luồng, asetpts đặt lại timestamp về 0 sau khi cắt
+            filters.push(`atrim=start=${trim.startSeconds}${end}`, 'asetpts=PTS-STARTPTS');
+        }
+        applied.push({
+            name: 'trim_silence',
+            threshold_db: config.AUDIO_SILENCE_THRESHOLD_DB,
+            min_seconds: config.AUDIO_SILENCE_MIN_SECONDS,
+            ...getTrimmedMs(trim)
+        });
+    }
+
+    if (config.AUDIO_LOUDNORM_ENABLED) {
+        const targetLufs = config.AUDIO_LOUDNORM_TARGET_LUFS;
+        filters.push(`loudnorm=I=${targetLufs}:TP=-1.5:LRA=11`);
+        applied.push({ name: 'loudnorm', target_lufs: targetLufs });
+    }
+
+    return { filters, applied };
+}
+
+function getHighpassFilters(config) {
+    return config.AUDIO_HIGHPASS_HZ > 0 ? [`highpass=f=${config.AUDIO_HIGHPASS_HZ}`] : [];
+}
+
+/**
+ * Filter cho lượt dò khoảng lặng (chạy trước khi convert, output -f null)
+ * @param {object} config - appConfig
+ * @returns {string[]|null} null nếu không bật AUDIO_TRIM_SILENCE_ENABLED
+ */
+function buildSilenceDetectFilters(config) {
+    if (!config.AUDIO_TRIM_SILENCE_ENABLED) {
+        return null;
+    }
+    // Dò trên audio đã qua highpass, giống audio sẽ được cắt
+    return [
+        ...getHighpassFilters(config),
+        `silencedetect=noise=${config.AUDIO_SILENCE_THRESHOLD_DB}dB:d=${config.AUDIO_SILENCE_MIN_SECONDS}`
+    ];
+}
+
+/**
+ * Tìm khoảng lặng ở đầu và cuối từ stderr của lượt silencedetect
+ * @param {string} stderr
+ * @returns {{startSeconds: number, endSeconds: number|null, durationSeconds: number}|null}
+ *          endSeconds null = không cắt phần cuối; null nếu không đọc được thời lượng
+ */
+function parseSilenceTrim(stderr) {
+    // Thời lượng: giá trị time= cuối cùng trong dòng tiến trình của FFmpeg
+    const times = [...String(stderr).matchAll(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/g)];
+    if (!times.length) {
+        return null;
+    }
+    const [, hours, minutes, seconds] = times[times.length - 1];
+    const durationSeconds = (parseInt(hours, 10) * 60 + parseInt(minutes, 10)) * 60 + parseFloat(seconds);
+
+    const silences = [];
+    for (const match of String(stderr).matchAll(/silence_(start|end): (-?\d+(?:\.\d+)?)/g)) {
+        const value = Math.max(0, parseFloat(match[2]));
+        if (match[1] === 'start') {
+            silences.push({ start: value, end: null });
+        } else if (silences.length) {
+            silences[silences.length - 1].end = value;
+        }
+    }
+
+    // Sai số làm tròn của silencedetect
+    const tolerance = 0.05;
+    let startSeconds = 0;
+    let endSeconds = null;
+    const first = silences[0];
+    if (first && first.start <= tolerance) {
+        if (first.end === null) {
+            // Cả bản ghi là khoảng lặng: giữ nguyên
+            return { startSeconds, endSeconds, durationSeconds };
+        }
+        startSeconds = first.end;
+    }
+    const last = silences[silences.length - 1];
+    if (last && last.start > startSeconds && (last.end === null || last.end >= durationSeconds - tolerance)) {
+        endSeconds = last.start;
+    }
+    return { startSeconds, endSeconds, durationSeconds };
+}
+
+/**
+ * Thời lượng bị cắt ở đầu/cuối (ms), dùng để chỉnh begin_time/end_time theo audio thực tế
+ * @param {{startSeconds: number, endSeconds: number|null, durationSeconds: number}|null} trim
+ * @returns {{trimmed_start_ms: number, trimmed_end_ms: number}}
+ */
+function getTrimmedMs(trim) {
+    if (!trim) {
+        return { trimmed_start_ms: 0, trimmed_end_ms: 0 };
+    }
+    return {
+        trimmed_start_ms: Math.round(trim.startSeconds * 1000),
+        trimmed_end_ms: trim.endSeconds === null ? 0 : Math.max(0, Math.round((trim.durationSeconds - trim.endSeconds) * 1000))
+    };
+}
+
+module.exports = { buildAudioFilterChain, buildSilenceDetectFilters, parseSilenceTrim, getTrimmedMs };
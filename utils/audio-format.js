@@ -0,0 +1,115 @@
+/**
+ * Các định dạng output được hỗ trợ khi convert bản ghi bằng FFmpeg
+ */
+const AUDIO_FORMATS = {
+    mp3: {
+        extension: '.mp3',
+        codec: 'libmp3lame',
+        contentType: 'audio/mpeg'
+    },
+    opus: {
+        extension: '.ogg',
+        codec: 'libopus',
+        contentType: 'audio/ogg',
+        // libopus chỉ hỗ trợ các sample rate này
+        sampleRates: [48000, 24000, 16000, 12000, 8000],
+        defaultSampleRate: 48000
+    },
+    m4a: {
+        extension: '.m4a',
+        codec: 'aac',
+        contentType: 'audio/mp4'
+    },
+    wav: {
+        extension: '.wav',
+        codec: 'pcm_s16le',
+        contentType: 'audio/wav',
+        // PCM không nén, không có bitrate
+        lossless: true
+    }
+};
+
+// Tên gọi khác của các định dạng
+AUDIO_FORMATS.ogg = AUDIO_FORMATS.opus;
+
+const DEFAULT_SAMPLE_RATE = 44100;
+
+// Cấu hình sai chỉ được cảnh báo một lần (resolveOutputFormat được gọi cho mỗi bản ghi)
+const reportedWarnings = new Set();
+
+function warnOnce(logger, message) {
+    if (!reportedWarnings.has(message)) {
+        reportedWarnings.add(message);
+        logger.warn(message);
+    }
+}
+
+/**
+ * Đọc cấu hình định dạng output (đã kiểm tra theo schema), chọn sample rate mặc định theo định dạng
+ * và sửa sample rate mà encoder không hỗ trợ
+ * @param {object} config - appConfig (OUTPUT_FORMAT, OUTPUT_BITRATE, OUTPUT_SAMPLE_RATE, OUTPUT_CHANNELS)
+ * @param {object} [logger=console]
+ * @returns {{name: string, extension: string, codec: string, contentType: string, bitrate: string|null, sampleRate: number, channels: number, lossless: boolean}}
+ */
+function resolveOutputFormat(config, logger = console) {
+    const name = config.OUTPUT_FORMAT;
+    const format = AUDIO_FORMATS[name];
+
+    let sampleRate = config.OUTPUT_SAMPLE_RATE || format.defaultSampleRate || DEFAULT_SAMPLE_RATE;
+    if (format.sampleRates && !format.sampleRates.includes(sampleRate)) {
+        // Chọn sample rate hỗ trợ gần nhất (không thấp hơn nếu có thể)
+        const fallback = format.sampleRates.filter(rate => rate >= sampleRate).pop() || format.sampleRates[0];
+        warnOnce(logger, `resolveOutputFormat: ${name} does not support ${sampleRate} Hz, using ${fallback} Hz`);
+        sampleRate = fallback;
+    }
+
+    const channels = config.OUTPUT_CHANNELS;
+    const bitrate = format.lossless ? null : config.OUTPUT_BITRATE;
+
+    return {
+        name: name === 'ogg' ? 'opus' : name,
+        extension: format.extension,
+        codec: format.codec,
+        contentType: format.contentType,
+        bitrate,
+        sampleRate,
+        channels,
+        lossless: !!format.lossless
+    };
+}
+
+/**
+ * Tạo tham số encoder FFmpeg cho định dạng output
+ * @param {object} format - Kết quả từ resolveOutputFormat
+ * @param {object} [options]
+ * @param {string} [options.channelLayout='mixed'] - 'split' luôn giữ 2 kênh
+ * @returns {string[]} Danh sách tham số (argv) cho execFile
+ */
+function buildEncoderArgs(format, { channelLayout = 'mixed' } = {}) {
+    // Chế độ split: mic/system nằm ở 2 kênh riêng, không được downmix về mono
+    const channels = channelLayout === 'split' ? 2 : format.channels;
+    const args = ['-c:a', format.codec, '-ar', String(format.sampleRate), '-ac', String(channels)];
+
+    if (format.bitrate) {
+        args.push('-b:a', format.bitrate);
+    }
+    if (channelLayout === 'split' && format.codec === 'libmp3lame') {
+        // Tắt joint stereo để 2 kênh được mã hóa độc lập
+        args.push('-joint_stereo', '0');
+    }
+    return args;
+}
+
+/**
+ * Map đuôi file -> content type của tất cả định dạng audio output
+ * @returns {object}
+ */
+function getAudioContentTypes() {
+    const map = {};
+    Object.values(AUDIO_FORMATS).forEach((format) => {
+        map[format.extension] = format.contentType;
+    });
+    return map;
+}
+
+module.exports = { AUDIO_FORMATS, resolveOutputFormat, buildEncoderArgs, getAudioContentTypes };
@@ -0,0 +1,133 @@
+/**
+ * Các chiến lược phát hiện cuộc gọi.
+ * - metrics: các chỉ số cần lấy mẫu
+ * - isInCall: một mẫu có được coi là "đang gọi" hay không
+ */
+const STRATEGIES = {
+    memory: {
+        metrics: ['memory'],
+        isInCall: (sample, thresholds) => sample.memory > thresholds.memoryKB
+    },
+    cpu: {
+        metrics: ['cpu'],
+        isInCall: (sample, thresholds) => sample.cpu > thresholds.cpuPercent
+    },
+    'memory+cpu': {
+        metrics: ['memory', 'cpu'],
+        isInCall: (sample, thresholds) => sample.memory > thresholds.memoryKB && sample.cpu > thresholds.cpuPercent
+    }
+};
+
+/**
+ * Tạo bộ phát hiện cuộc gọi có debounce/hysteresis:
+ * - Chỉ bắt đầu khi có `startSamples` mẫu "đang gọi" liên tiếp
+ * - Chỉ dừng khi không có mẫu "đang gọi" nào trong `stopGraceMs`
+ * Nhờ vậy một spike không tạo bản ghi rác, một lần tụt không cắt đôi cuộc gọi.
+ *
+ * @param {object} options
+ * @param {string} [options.strategy='memory'] - 'memory' | 'cpu' | 'memory+cpu'
+ * @param {number} [options.startSamples=2] - Số mẫu liên tiếp để bắt đầu ghi
+ * @param {number} [options.stopGraceMs=9000] - Thời gian ân hạn trước khi dừng ghi
+ * @param {function(): {memoryKB: number, cpuPercent: number}} options.getThresholds - Ngưỡng hiện tại
+ * @param {object} [options.logger=console]
+ * @returns {object} Detector
+ */
+function createCallDetector({
+    strategy = 'memory',
+    startSamples = 2,
+    stopGraceMs = 9000,
+    getThresholds,
+    logger = console
+}) {
+    let strategyName;
+    let metrics;
+    let isInCall;
+
+    function setStrategy(name) {
+        strategyName = name;
+        if (!STRATEGIES[strategyName]) {
+            logger.error(`createCallDetector: Unknown strategy "${name}", falling back to "memory"`);
+            strategyName = 'memory';
+        }
+        ({ metrics, isInCall } = STRATEGIES[strategyName]);
+    }
+    setStrategy(strategy);
+
+    let active = false;
+    let consecutiveHits = 0;
+    let lastInCallAt = 0;
+
+    /**
+     * Đưa một mẫu mới vào detector
+     * @param {{memory?: number, cpu?: number}} sample
+     * @param {number} [now=Date.now()]
+     * @returns {'start'|'stop'|null} Hành động cần thực hiện
+     */
+    function update(sample, now = Date.now()) {
+        const inCall = isInCall(sample, getThresholds());
+
+        if (!active) {
+            consecutiveHits = inCall ? consecutiveHits + 1 : 0;
+            if (consecutiveHits >= startSamples) {
+                active = true;
+                consecutiveHits = 0;
+                lastInCallAt = now;
+                return 'start';
+            }
+            return null;
+        }
+
+        if (inCall) {
+            lastInCallAt = now;
+            return null;
+        }
+
+        if (now - lastInCallAt >= stopGraceMs) {
+            active = false;
+            return 'stop';
+        }
+        return null;
+    }
+
+    /**
+     * Về trạng thái idle (ví dụ: khi Zalo bị tắt)
+     */
+    function reset() {
+        active = false;
+        consecutiveHits = 0;
+        lastInCallAt = 0;
+    }
+
+    /**
+     * Đổi tham số khi config thay đổi, giữ trạng thái đang gọi/không gọi
+     * (cuộc gọi đang ghi không bị cắt, chỉ đếm lại các mẫu "đang gọi" liên tiếp)
+     * @param {{strategy?: string, startSamples?: number, stopGraceMs?: number}} options
+     */
+    function configure(options) {
+        if (options.strategy !== undefined && options.strategy !== strategyName) {
+            setStrategy(options.strategy);
+            consecutiveHits = 0;
+        }
+        if (options.startSamples !== undefined) {
+            startSamples = options.startSamples;
+        }
+        if (options.stopGraceMs !== undefined) {
+            stopGraceMs = options.stopGraceMs;
+        }
+    }
+
+    return {
+        get strategy() {
+            return strategyName;
+        },
+        get metrics() {
+            return metrics;
+        },
+        update,
+        reset,
+        configure,
+        isActive: () => active
+    };
+}
+
+module.exports = { createCallDetector, STRATEGIES };
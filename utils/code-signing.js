@@ -0,0 +1,161 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MANIFEST_FILE = 'manifest.json';
+const SIGNATURE_FILE = 'manifest.json.sig';
+
+/**
+ * Lỗi xác thực code tải về (chữ ký sai, hash không khớp...) - không được dùng file này
+ */
+function createVerificationError(message) {
+    const error = new Error(message);
+    error.verification = true;
+    return error;
+}
+
+function sha256Buffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+/**
+ * Kiểm tra chữ ký Ed25519 của manifest và parse nội dung.
+ * Manifest có dạng: { version, files: { "renderer.js": { sha256 }, ... } }
+ * @param {Buffer} manifestBuffer - Nội dung manifest.json (đúng từng byte đã ký)
+ * @param {string} signature - Chữ ký base64
+ * @param {string} publicKeyPem - Public key đi kèm app
+ * @returns {{version: string, files: object}}
+ */
+function verifyManifest(manifestBuffer, signature, publicKeyPem) {
+    if (!signature || !signature.trim()) {
+        throw createVerificationError('Manifest is not signed');
+    }
+    let valid = false;
+    try {
+        valid = crypto.verify(null, manifestBuffer, publicKeyPem, Buffer.from(signature.trim(), 'base64'));
+    } catch (err) {
+        throw createVerificationError(`Cannot verify manifest signature: ${err.message}`);
+    }
+    if (!valid) {
+        throw createVerificationError('Manifest signature is invalid');
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(manifestBuffer.toString('utf8'));
+    } catch (err) {
+        throw createVerificationError(`Manifest is not valid JSON: ${err.message}`);
+    }
+    if (!manifest || typeof manifest.version !== 'string' || !manifest.files || typeof manifest.files !== 'object') {
+        throw createVerificationError('Manifest must contain "version" and "files"');
+    }
+    return manifest;
+}
+
+/**
+ * Kiểm tra SHA-256 của file so với manifest
+ * @param {string} filePath
+ * @param {object} manifest
+ * @param {string} fileName - Tên file trong manifest
+ */
+function verifyFileHash(filePath, manifest, fileName) {
+    const expected = manifest.files[fileName]?.sha256;
+    if (!expected) {
+        throw createVerificationError(`${fileName} is not listed in manifest ${manifest.version}`);
+    }
+    const actual = sha256Buffer(fs.readFileSync(filePath));
+    if (actual !== String(expected).toLowerCase()) {
+        throw createVerificationError(`${fileName} SHA-256 mismatch (expected ${expected}, got ${actual})`);
+    }
+}
+
+/**
+ * Đọc và xác thực manifest + chữ ký nằm trong thư mục `dir`
+ * @param {string} dir
+ * @param {string} publicKeyPem
+ * @returns {{version: string, files: object}}
+ */
+function readVerifiedManifest(dir, publicKeyPem) {
+    const manifestPath = path.join(dir, MANIFEST_FILE);
+    const signaturePath = path.join(dir, SIGNATURE_FILE);
+    if (!fs.existsSync(manifestPath)) {
+        throw createVerificationError(`Manifest not found in ${dir}`);
+    }
+    const signature = fs.existsSync(signaturePath) ? fs.readFileSync(signaturePath, 'utf8') : '';
+    return verifyManifest(fs.readFileSync(manifestPath), signature, publicKeyPem);
+}
+
+/**
+ * Tải manifest, chữ ký và các file code vào thư mục tạm (staging), xác thực tất cả.
+ * Chỉ khi mọi bước thành công mới trả về kết quả; thư mục cache thật không bị đụng tới.
+ *
+ * @param {object} options
+ * @param {string[]} options.fileNames - Các file cần tải (ví dụ ['main.js', 'renderer.js'])
+ * @param {string} options.stagingDir - Thư mục tạm (sẽ bị xóa và tạo lại)
+ * @param {string} options.publicKeyPem
+ * @param {function(string, string): Promise<boolean>} options.download - Tải file trong repo về đường dẫn local
+ * @param {string} [options.expectedVersion] - Version phải khớp với manifest (nếu có)
+ * @returns {Promise<{version: string, manifest: object, stagingDir: string}>}
+ */
+async function downloadVerifiedFiles({ fileNames, stagingDir, publicKeyPem, download, expectedVersion }) {
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+    fs.mkdirSync(stagingDir, { recursive: true });
+
+    for (const name of [MANIFEST_FILE, SIGNATURE_FILE]) {
+        if (!await download(name, path.join(stagingDir, name))) {
+            throw createVerificationError(`Failed to download ${name}`);
+        }
+    }
+    const manifest = readVerifiedManifest(stagingDir, publicKeyPem);
+    if (expectedVersion && manifest.version !== expectedVersion) {
+        throw createVerificationError(`Manifest version ${manifest.version} does not match published version ${expectedVersion}`);
+    }
+
+    for (const name of fileNames) {
+        const stagedPath = path.join(stagingDir, name);
+        if (!await download(name, stagedPath)) {
+            throw new Error(`Failed to download ${name}`);
+        }
+        verifyFileHash(stagedPath, manifest, name);
+    }
+    return { version: manifest.version, manifest, stagingDir };
+}
+
+/**
+ * Chuyển các file đã xác thực từ staging vào thư mục đích (kèm manifest và chữ ký
+ * để kiểm tra lại khi khởi động)
+ * @param {string} stagingDir
+ * @param {string} targetDir
+ * @param {string[]} fileNames
+ */
+function installStagedFiles(stagingDir, targetDir, fileNames) {
+    fs.mkdirSync(targetDir, { recursive: true });
+    [...fileNames, MANIFEST_FILE, SIGNATURE_FILE].forEach((name) => {
+        fs.copyFileSync(path.join(stagingDir, name), path.join(targetDir, name));
+    });
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+}
+
+/**
+ * Kiểm tra file trong cache vẫn khớp với manifest đã ký (phát hiện file bị sửa trên máy)
+ * @param {string} dir
+ * @param {string[]} fileNames
+ * @param {string} publicKeyPem
+ * @returns {{version: string, files: object}} manifest
+ */
+function verifyInstalledFiles(dir, fileNames, publicKeyPem) {
+    const manifest = readVerifiedManifest(dir, publicKeyPem);
+    fileNames.forEach(name => verifyFileHash(path.join(dir, name), manifest, name));
+    return manifest;
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    SIGNATURE_FILE,
+    sha256Buffer,
+    verifyManifest,
+    verifyFileHash,
+    downloadVerifiedFiles,
+    installStagedFiles,
+    verifyInstalledFiles
+};
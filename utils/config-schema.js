@@ -0,0 +1,108 @@
+/**
+ * Schema cấu hình của app: kiểu dữ liệu, giá trị mặc định và ràng buộc của từng key.
+ * - required: thiếu key sẽ báo lỗi khi khởi động
+ * - restart: thay đổi chỉ có hiệu lực sau khi khởi động lại app
+ * - remote: false: server không được ghi đè (định danh máy, thông tin đăng nhập, nguồn tải code,
+ *   các endpoint nhận SALE_TOKEN - URL tuyệt đối sẽ gửi token tới host bất kỳ)
+ */
+const CONFIG_SCHEMA = {
+    // Máy / người dùng
+    NAME_CODE: { type: 'string', remote: false },
+    RECORDINGS_DIR: { type: 'string', default: 'recordings', restart: true, remote: false },
+
+    // API server
+    API_URL: { type: 'string', required: true, remote: false },
+    API_UPLOAD_URL: { type: 'string', required: true, remote: false },
+    SALE_TOKEN: { type: 'string', required: true, remote: false },
+    UPLOAD_API: { type: 'string', required: true, remote: false },
+    SAVE_HISTORY_API: { type: 'string', required: true, remote: false },
+    HEARTBEAT_API: { type: 'string', remote: false },
+    HEARTBEAT_INTERVAL_MS: { type: 'integer', default: 60000, min: 5000 },
+    HEARTBEAT_MAX_BACKOFF_MS: { type: 'integer', default: 900000, min: 5000 },
+    CLIPBOARD_API: { type: 'string', remote: false },
+
+    // Phát hiện cuộc gọi
+    ZALO_PROCESS_NAME: { type: 'string', default: 'Zalo.exe' },
+    ZALO_CALL_PROCESS_NAME: { type: 'string', default: 'ZaloCall.exe' },
+    CALL_CHECK_INTERVAL_MS: { type: 'integer', default: 3000, min: 500 },
+    CALL_DETECTION_STRATEGY: { type: 'string', default: 'memory', enum: ['memory', 'cpu', 'memory+cpu'] },
+    MEMORY_CALL_THRESHOLD_KB: { type: 'integer', default: 100000, min: 1 },
+    CPU_CALL_THRESHOLD_PERCENT: { type: 'number', default: 3, min: 0 },
+    CALL_START_SAMPLES: { type: 'integer', default: 2, min: 1 },
+    CALL_STOP_GRACE_MS: { type: 'integer', default: 9000, min: 0 },
+    CALIBRATION_SAMPLES: { type: 'integer', default: 10, min: 1 },
+    CALIBRATION_INTERVAL_MS: { type: 'integer', default: 3000, min: 100 },
+
+    // Ghi âm
+    // Không đặt thì pre-roll phủ thời gian phát hiện cuộc gọi (CALL_START_SAMPLES × CALL_CHECK_INTERVAL_MS)
+    // cộng thêm một chu kỳ kiểm tra, 0 = tắt pre-roll
+    PREROLL_SECONDS: { type: 'number', min: 0 },
+    RECORDING_CHANNEL_LAYOUT: { type: 'string', default: 'mixed', enum: ['mixed', 'split'] },
+    OUTPUT_FORMAT: { type: 'string', default: 'mp3', enum: ['mp3', 'opus', 'ogg', 'm4a', 'wav'] },
+    OUTPUT_BITRATE: { type: 'string', default: '192k' },
+    // Không đặt thì dùng sample rate mặc định của định dạng (44100 Hz, opus: 48000 Hz)
+    OUTPUT_SAMPLE_RATE: { type: 'integer', min: 8000 },
+    OUTPUT_CHANNELS: { type: 'integer', default: 2, enum: [1, 2] },
+
+    // Mã hóa bản ghi trên máy (AES-256-GCM, khóa riêng của máy). Khi bật, file tạm lúc đang ghi
+    // nằm trong userData/recording-work thay vì RECORDINGS_DIR
+    RECORDING_ENCRYPTION_ENABLED: { type: 'boolean', default: false },
+    RECORDING_UPLOAD_MODE: { type: 'string', default: 'decrypted', enum: ['decrypted', 'encrypted'] },
+    RECORDING_KEY_WRAP_PUBLIC_KEY: { type: 'string', remote: false },
+
+    // Hậu xử lý audio
+    AUDIO_HIGHPASS_HZ: { type: 'number', default: 0, min: 0 },
+    AUDIO_TRIM_SILENCE_ENABLED: { type: 'boolean', default: false },
+    AUDIO_SILENCE_THRESHOLD_DB: { type: 'number', default: -50, max: 0 },
+    AUDIO_SILENCE_MIN_SECONDS: { type: 'number', default: 0.3, min: 0 },
+    AUDIO_LOUDNORM_ENABLED: { type: 'boolean', default: false },
+    AUDIO_LOUDNORM_TARGET_LUFS: { type: 'number', default: -16, min: -70, max: -5 },
+
+    // Upload
+    UPLOAD_RETRY_BASE_MS: { type: 'integer', default: 5000, min: 100, restart: true },
+    UPLOAD_RETRY_MAX_MS: { type: 'integer', default: 600000, min: 100, restart: true },
+    UPLOAD_MAX_ATTEMPTS: { type: 'integer', default: 0, min: 0, restart: true },
+
+    // Dung lượng đĩa và chính sách lưu trữ (0 = không giới hạn / không xóa)
+    RETENTION_MAX_TOTAL_MB: { type: 'integer', default: 0, min: 0 },
+    RETENTION_UPLOADED_MAX_AGE_DAYS: { type: 'number', default: 7, min: 0 },
+    RETENTION_FAILED_MAX_AGE_DAYS: { type: 'number', default: 0, min: 0 },
+    RETENTION_DELETE_FAILED_FOR_SPACE: { type: 'boolean', default: false },
+    RETENTION_LOG_MAX_AGE_DAYS: { type: 'number', default: 30, min: 0 },
+    RETENTION_INTERVAL_MS: { type: 'integer', default: 3600000, min: 60000, restart: true },
+    DISK_LOW_FREE_MB: { type: 'integer', default: 1024, min: 0 },
+    DISK_MIN_FREE_MB: { type: 'integer', default: 200, min: 0 },
+
+    // Log
+    LOG_LEVEL: { type: 'string', default: 'info', enum: ['debug', 'info', 'warn', 'error'] },
+    LOG_MAX_FILE_MB: { type: 'integer', default: 10, min: 0 },
+
+    // Tắt app: thời gian tối đa chờ lưu bản ghi đang dở
+    SHUTDOWN_TIMEOUT_MS: { type: 'integer', default: 30000, min: 1000 },
+
+    // Clipboard
+    CLIPBOARD_MONITOR_ENABLED: { type: 'boolean', default: true },
+    CLIPBOARD_UPLOAD_ENABLED: { type: 'boolean', default: false },
+    PHONE_LINK_WINDOW_MS: { type: 'integer', default: 120000, min: 0 },
+    TEXT_SIZE_MAX: { type: 'integer', min: 1 },
+
+    // Cập nhật code từ remote
+    REMOTE_CODE_ENABLED: { type: 'boolean', default: false, remote: false },
+    REMOTE_CODE_URL: { type: 'string', remote: false },
+    GITLAB_REPO_URL: { type: 'string', remote: false },
+    REMOTE_CODE_CHECK_INTERVAL_MS: { type: 'integer', default: 300000, min: 10000 },
+    KEEP_CODE_VERSIONS: { type: 'integer', default: 3, min: 1, restart: true },
+    UPDATE_MAX_LAUNCH_ATTEMPTS: { type: 'integer', default: 2, min: 1, restart: true },
+    UPDATE_HEALTH_CHECK_DELAY_MS: { type: 'integer', default: 60000, min: 10000 },
+
+    // Cấu hình từ server
+    REMOTE_CONFIG_API: { type: 'string', remote: false },
+    REMOTE_CONFIG_INTERVAL_MS: { type: 'integer', default: 600000, min: 10000 },
+
+    // Local API
+    LOCAL_API_ENABLED: { type: 'boolean', default: false, restart: true, remote: false },
+    LOCAL_API_PORT: { type: 'integer', default: 17321, min: 1, max: 65535, restart: true, remote: false },
+    LOCAL_API_TOKEN: { type: 'string', remote: false }
+};
+
+module.exports = { CONFIG_SCHEMA };
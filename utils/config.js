@@ -0,0 +1,289 @@
+const fs = require('fs');
+const EventEmitter = require('events');
+
+const BOOLEAN_VALUES = {
+    true: true, '1': true, yes: true, on: true,
+    false: false, '0': false, no: false, off: false
+};
+
+/**
+ * Chuyển giá trị về đúng kiểu khai báo trong schema.
+ * Giá trị từ config.txt và biến môi trường luôn là chuỗi nên cần parse.
+ * @param {*} value
+ * @param {object} rule - Một entry của schema
+ * @returns {{value?: *, error?: string}}
+ */
+function coerceValue(value, rule) {
+    let result = value;
+
+    switch (rule.type) {
+        case 'string':
+            if (typeof value !== 'string') {
+                if (typeof value !== 'number') {
+                    return { error: 'must be a string' };
+                }
+                result = String(value);
+            }
+            break;
+        case 'number':
+        case 'integer':
+            if (typeof value === 'string' && value.trim() !== '') {
+                result = Number(value.trim());
+            }
+            if (typeof result !== 'number' || !Number.isFinite(result)) {
+                return { error: rule.type === 'integer' ? 'must be an integer' : 'must be a number' };
+            }
+            if (rule.type === 'integer' && !Number.isInteger(result)) {
+                return { error: 'must be an integer' };
+            }
+            if (rule.min !== undefined && result < rule.min) {
+                return { error: `must be >= ${rule.min}` };
+            }
+            if (rule.max !== undefined && result > rule.max) {
+                return { error: `must be <= ${rule.max}` };
+            }
+            break;
+        case 'boolean':
+            if (typeof value === 'string') {
+                result = BOOLEAN_VALUES[value.trim().toLowerCase()];
+            }
+            if (typeof result !== 'boolean') {
+                return { error: 'must be a boolean (true/false)' };
+            }
+            break;
+        default:
+            return { error: `has unknown schema type "${rule.type}"` };
+    }
+
+    if (rule.enum && !rule.enum.includes(result)) {
+        return { error: `must be one of: ${rule.enum.join(', ')}` };
+    }
+    return { value: result };
+}
+
+/**
+ * Parse file dạng key=value (mỗi dòng một key, bỏ qua dòng trống và comment #)
+ * @param {string} content
+ * @returns {object}
+ */
+function parseKeyValueFile(content) {
+    const values = {};
+    content.split(/\r?\n/).forEach((line) => {
+        const trimmedLine = line.trim();
+        if (!trimmedLine || trimmedLine.startsWith('#')) {
+            return;
+        }
+        const equalIndex = trimmedLine.indexOf('=');
+        if (equalIndex === -1) {
+            return;
+        }
+        values[trimmedLine.substring(0, equalIndex).trim()] = trimmedLine.substring(equalIndex + 1).trim();
+    });
+    return values;
+}
+
+/**
+ * Cấu hình hợp nhất của app. Các tầng, tầng sau ghi đè tầng trước:
+ *   defaults (schema) < default.json < config.txt < remote (server) < biến môi trường `${envPrefix}<KEY>`
+ *
+ * Giá trị sai kiểu bị bỏ qua (dùng giá trị của tầng thấp hơn) và được báo trong `errors`.
+ * Key không có trong schema vẫn được giữ nguyên nhưng được báo trong `warnings` (thường là gõ sai tên).
+ * Tầng remote chỉ được đặt các key có trong schema và không có `remote: false`.
+ * Giá trị remote che giá trị khác trong config.txt (ví dụ ngưỡng do hiệu chỉnh ghi vào) được báo trong `warnings`.
+ *
+ * Events:
+ * - 'change' (changedKeys: string[]) - sau khi load lại và có key thay đổi
+ * - 'problems' ({errors, warnings}) - sau mỗi lần load có lỗi/cảnh báo
+ *
+ * @param {object} options
+ * @param {object} options.schema - key -> { type, default, required, enum, min, max }
+ * @param {string} options.jsonPath - Đường dẫn default.json
+ * @param {string} options.txtPath - Đường dẫn config.txt do installer tạo
+ * @param {object} [options.env=process.env]
+ * @param {string} [options.envPrefix='ZALOREC_']
+ * @returns {object} API của config
+ */
+function createConfig({ schema, jsonPath, txtPath, env = process.env, envPrefix = 'ZALOREC_' }) {
+    const emitter = new EventEmitter();
+    // Object dùng chung trong toàn app, được cập nhật tại chỗ khi load lại
+    const values = {};
+    let sources = {};
+    let problems = { errors: [], warnings: [] };
+    let loaded = false;
+    let reloadTimer = null;
+    let remoteLayer = {};
+    const watchedFiles = [];
+
+    function readJsonLayer(report) {
+        try {
+            if (!fs.existsSync(jsonPath)) {
+                report.warnings.push(`default.json not found: ${jsonPath}`);
+                return {};
+            }
+            const parsed = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+            if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                report.errors.push('default.json: root must be an object');
+                return {};
+            }
+            return parsed;
+        } catch (err) {
+            report.errors.push(`default.json: ${err.message}`);
+            return {};
+        }
+    }
+
+    function readTxtLayer(report) {
+        try {
+            if (!fs.existsSync(txtPath)) {
+                return {};
+            }
+            return parseKeyValueFile(fs.readFileSync(txtPath, 'utf8'));
+        } catch (err) {
+            report.errors.push(`config.txt: ${err.message}`);
+            return {};
+        }
+    }
+
+    function readEnvLayer() {
+        const layer = {};
+        Object.keys(env).forEach((name) => {
+            if (name.startsWith(envPrefix)) {
+                layer[name.substring(envPrefix.length)] = env[name];
+            }
+        });
+        return layer;
+    }
+
+    /**
+     * Đọc lại tất cả các tầng, kiểm tra theo schema và cập nhật `values`
+     * @returns {{errors: string[], warnings: string[], changed: string[]}}
+     */
+    function load() {
+        const report = { errors: [], warnings: [] };
+        const next = {};
+        const nextSources = {};
+
+        Object.entries(schema).forEach(([key, rule]) => {
+            if (rule.default !== undefined) {
+                next[key] = rule.default;
+                nextSources[key] = 'default';
+            }
+        });
+
+        const layers = [
+            ['default.json', readJsonLayer(report)],
+            ['config.txt', readTxtLayer(report)],
+            ['remote', remoteLayer],
+            ['env', readEnvLayer()]
+        ];
+        layers.forEach(([layerName, layer]) => {
+            Object.entries(layer).forEach(([key, raw]) => {
+                const label = layerName === 'env' ? `${envPrefix}${key}` : `${layerName}: ${key}`;
+                const rule = schema[key];
+                if (layerName === 'remote' && (!rule || rule.remote === false)) {
+                    report.warnings.push(`${label} cannot be set remotely, ignored`);
+                    return;
+                }
+                if (!rule) {
+                    report.warnings.push(`${label} is not a known config key`);
+                    next[key] = raw;
+                    nextSources[key] = layerName;
+                    return;
+                }
+                // Giá trị rỗng trong config.txt/env coi như không khai báo
+                if (raw === '' || raw === null || raw === undefined) {
+                    return;
+                }
+                const { value, error } = coerceValue(raw, rule);
+                if (error) {
+                    report.errors.push(`${label} ${error} (got ${JSON.stringify(raw)})`);
+                    return;
+                }
+                if (layerName === 'remote' && nextSources[key] === 'config.txt' && next[key] !== value) {
+                    report.warnings.push(`${label}=${JSON.stringify(value)} overrides config.txt value ${JSON.stringify(next[key])}`);
+                }
+                next[key] = value;
+                nextSources[key] = layerName;
+            });
+        });
+
+        Object.entries(schema).forEach(([key, rule]) => {
+            if (rule.required && (next[key] === undefined || next[key] === '')) {
+                report.errors.push(`${key} is required (set it in default.json, config.txt or ${envPrefix}${key})`);
+            }
+        });
+
+        const changed = [...new Set([...Object.keys(values), ...Object.keys(next)])]
+            .filter(key => JSON.stringify(values[key]) !== JSON.stringify(next[key]));
+        Object.keys(values).forEach((key) => {
+            if (!(key in next)) {
+                delete values[key];
+            }
+        });
+        Object.assign(values, next);
+        sources = nextSources;
+        problems = report;
+
+        const firstLoad = !loaded;
+        loaded = true;
+        if (report.errors.length || report.warnings.length) {
+            emitter.emit('problems', report);
+        }
+        if (!firstLoad && changed.length) {
+            emitter.emit('change', changed);
+        }
+        return { ...report, changed };
+    }
+
+    /**
+     * Theo dõi default.json và config.txt, tự load lại khi file được tạo/thay đổi
+     * @param {number} [intervalMs=1000]
+     */
+    function watch(intervalMs = 1000) {
+        if (watchedFiles.length) {
+            return;
+        }
+        [jsonPath, txtPath].forEach((filePath) => {
+            // fs.watchFile hoạt động cả khi file chưa tồn tại
+            fs.watchFile(filePath, { interval: intervalMs }, (curr, prev) => {
+                if (curr.mtimeMs === prev.mtimeMs) {
+                    return;
+                }
+                // Đợi một chút để file được ghi xong
+                clearTimeout(reloadTimer);
+                reloadTimer = setTimeout(load, 100);
+            });
+            watchedFiles.push(filePath);
+        });
+    }
+
+    /**
+     * Đặt tầng cấu hình từ server rồi load lại
+     * @param {object|null} layer - key -> value, null để bỏ tầng remote
+     * @returns {{errors: string[], warnings: string[], changed: string[]}}
+     */
+    function setRemoteLayer(layer) {
+        remoteLayer = layer && typeof layer === 'object' && !Array.isArray(layer) ? { ...layer } : {};
+        return load();
+    }
+
+    function unwatch() {
+        clearTimeout(reloadTimer);
+        watchedFiles.splice(0).forEach(filePath => fs.unwatchFile(filePath));
+    }
+
+    return {
+        values,
+        load,
+        setRemoteLayer,
+        watch,
+        unwatch,
+        get: key => values[key],
+        getSource: key => sources[key] || null,
+        getProblems: () => ({ errors: [...problems.errors], warnings: [...problems.warnings] }),
+        on: (event, listener) => emitter.on(event, listener),
+        off: (event, listener) => emitter.off(event, listener)
+    };
+}
+
+module.exports = { createConfig, coerceValue, parseKeyValueFile };
@@ -0,0 +1,143 @@
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Tạo lỗi kèm HTTP status code để trả về cho client
+ * @param {number} statusCode
+ * @param {string} message
+ */
+function createHttpError(statusCode, message) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * So sánh token không phụ thuộc thời gian (tránh dò token theo thời gian phản hồi)
+ */
+function isValidToken(received, expected) {
+    if (typeof received !== 'string' || !expected) {
+        return false;
+    }
+    const a = crypto.createHash('sha256').update(received).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Lấy token từ header `x-api-token` hoặc `Authorization: Bearer <token>`
+ */
+function getRequestToken(req) {
+    if (req.headers['x-api-token']) {
+        return req.headers['x-api-token'];
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * HTTP API điều khiển/trạng thái cho các ứng dụng khác trên cùng máy (ví dụ plugin CRM).
+ * Chỉ lắng nghe trên 127.0.0.1 và mọi request đều phải có token.
+ *
+ * Routes:
+ * - GET  /status           -> handlers.getStatus()
+ * - POST /recording/start  -> handlers.startRecording()
+ * - POST /recording/stop   -> handlers.stopRecording()
+ * - GET  /recordings       -> handlers.listRecordings(query)
+ * - POST /uploads/retry?id=<jobId>  -> handlers.retryUpload(query)
+ * - POST /uploads/remove?id=<jobId> -> handlers.removeUpload(query)
+ *
+ * Handler có thể throw lỗi tạo bởi createHttpError để trả về status code tương ứng.
+ *
+ * @param {object} options
+ * @param {number} options.port
+ * @param {string} options.token
+ * @param {object} options.handlers
+ * @param {string} [options.host='127.0.0.1']
+ * @param {object} [options.logger=console]
+ * @returns {{start: function(): Promise<void>, stop: function(): Promise<void>}}
+ */
+function createControlServer({ port, token, handlers, host = '127.0.0.1', logger = console }) {
+    let server = null;
+
+    const routes = {
+        'GET /status': () => handlers.getStatus(),
+        'POST /recording/start': () => handlers.startRecording(),
+        'POST /recording/stop': () => handlers.stopRecording(),
+        'GET /recordings': query => handlers.listRecordings(query),
+        'POST /uploads/retry': query => handlers.retryUpload(query),
+        'POST /uploads/remove': query => handlers.removeUpload(query)
+    };
+
+    function sendJson(res, statusCode, body) {
+        res.writeHead(statusCode, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store'
+        });
+        res.end(JSON.stringify(body));
+    }
+
+    async function handleRequest(req, res) {
+        const url = new URL(req.url, `http://${host}`);
+        const route = routes[`${req.method} ${url.pathname}`];
+
+        if (!isValidToken(getRequestToken(req), token)) {
+            sendJson(res, 401, { success: false, message: 'Invalid token' });
+            return;
+        }
+        if (!route) {
+            sendJson(res, 404, { success: false, message: `Not found: ${req.method} ${url.pathname}` });
+            return;
+        }
+
+        try {
+            const data = await route(Object.fromEntries(url.searchParams));
+            sendJson(res, 200, { success: true, data });
+        } catch (err) {
+            const statusCode = err.statusCode || 500;
+            if (statusCode >= 500) {
+                logger.error(`control-server: ${req.method} ${url.pathname} failed:`, err.message);
+            }
+            sendJson(res, statusCode, { success: false, message: err.message });
+        }
+    }
+
+    function start() {
+        if (server) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            server = http.createServer((req, res) => {
+                // Không cần body cho các route hiện có, bỏ qua phần còn lại của request
+                req.resume();
+                handleRequest(req, res).catch((err) => {
+                    logger.error('control-server: Unexpected error:', err.message);
+                    if (!res.headersSent) {
+                        sendJson(res, 500, { success: false, message: 'Internal error' });
+                    }
+                });
+            });
+            server.once('error', (err) => {
+                server = null;
+                reject(err);
+            });
+            server.listen(port, host, () => {
+                logger.log(`[LOCAL API] Listening on http://${host}:${port}`);
+                resolve();
+            });
+        });
+    }
+
+    function stop() {
+        if (!server) {
+            return Promise.resolve();
+        }
+        const closing = server;
+        server = null;
+        return new Promise(resolve => closing.close(() => resolve()));
+    }
+
+    return { start, stop };
+}
+
+module.exports = { createControlServer, createHttpError };
@@ -0,0 +1,21 @@
+const fs = require('fs');
+
+/**
+ * Dung lượng còn trống của ổ đĩa chứa `dirPath`
+ * @param {string} dirPath
+ * @returns {Promise<{freeBytes: number, totalBytes: number}|null>} null nếu không đọc được
+ */
+async function getDiskSpace(dirPath) {
+    try {
+        const stats = await fs.promises.statfs(dirPath);
+        return {
+            // bavail: dung lượng user thường được dùng (không tính phần dành riêng cho root)
+            freeBytes: stats.bavail * stats.bsize,
+            totalBytes: stats.blocks * stats.bsize
+        };
+    } catch {
+        return null;
+    }
+}
+
+module.exports = { getDiskSpace };
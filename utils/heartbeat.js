@@ -0,0 +1,81 @@
+/**
+ * Gửi heartbeat định kỳ, tách khỏi vòng lặp phát hiện cuộc gọi.
+ * Khi server không phản hồi, giãn dần thời gian giữa các lần gửi (exponential backoff)
+ * và quay lại chu kỳ bình thường ngay khi gửi thành công.
+ *
+ * @param {object} options
+ * @param {function(): Promise<object>} options.buildPayload - Tạo nội dung heartbeat
+ * @param {function(object): Promise<void>} options.send - Gửi heartbeat, throw nếu lỗi
+ * @param {function(): number} options.getIntervalMs - Chu kỳ bình thường (đọc lại mỗi lần)
+ * @param {function(): number} [options.getMaxBackoffMs] - Thời gian chờ tối đa khi server lỗi
+ * @param {object} [options.logger=console]
+ * @returns {{start: function, stop: function, getState: function(): object}}
+ */
+function createHeartbeat({ buildPayload, send, getIntervalMs, getMaxBackoffMs = () => 900000, logger = console }) {
+    let timer = null;
+    let started = false;
+    let consecutiveFailures = 0;
+    let lastSuccessAt = null;
+
+    function getNextDelay() {
+        const interval = getIntervalMs();
+        if (consecutiveFailures === 0) {
+            return interval;
+        }
+        const delay = Math.min(getMaxBackoffMs(), interval * Math.pow(2, consecutiveFailures));
+        // Thêm jitter ±20% để các máy không gửi lại cùng lúc khi server hoạt động trở lại
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    async function beat() {
+        try {
+            await send(await buildPayload());
+            if (consecutiveFailures > 0) {
+                logger.log(`[HEARTBEAT] Server reachable again after ${consecutiveFailures} failed attempt(s)`);
+            }
+            consecutiveFailures = 0;
+            lastSuccessAt = Date.now();
+        } catch (err) {
+            consecutiveFailures += 1;
+            // Chỉ ghi log lần lỗi đầu tiên, tránh log lặp lại khi mất mạng lâu
+            if (consecutiveFailures === 1) {
+                logger.error('[HEARTBEAT] Failed to send heartbeat, backing off:', err.message);
+            }
+        }
+    }
+
+    function scheduleNext(delay) {
+        if (!started) {
+            return;
+        }
+        timer = setTimeout(async () => {
+            timer = null;
+            await beat();
+            scheduleNext(getNextDelay());
+        }, delay);
+    }
+
+    function start() {
+        if (started) {
+            return;
+        }
+        started = true;
+        scheduleNext(0);
+    }
+
+    function stop() {
+        started = false;
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+    }
+
+    return {
+        start,
+        stop,
+        getState: () => ({ consecutiveFailures, lastSuccessAt })
+    };
+}
+
+module.exports = { createHeartbeat };
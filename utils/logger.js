@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Chuyển các tham số log (giống console.log) thành message + dữ liệu kèm theo
+ * @param {Array} args
+ * @returns {{message: string, error?: object}}
+ */
+function formatArgs(args) {
+    let error;
+    const message = args.map((arg) => {
+        if (arg instanceof Error) {
+            error = error || { name: arg.name, message: arg.message, stack: arg.stack };
+            return arg.message;
+        }
+        if (arg && typeof arg === 'object') {
+            try {
+                return JSON.stringify(arg);
+            } catch {
+                return String(arg);
+            }
+        }
+        return String(arg);
+    }).join(' ');
+    return error ? { message, error } : { message };
+}
+
+/**
+ * Logger ghi JSON lines vào file theo ngày trong `logDir`.
+ * Mỗi dòng: { ts, level, source, msg, ...context } - context lấy từ `getContext()`
+ * (version, call id đang ghi...) và từ `child()`.
+ *
+ * Xoay vòng: mỗi ngày một file `app_YYYY_MM_DD.log`; file vượt `getMaxFileBytes()` được đổi tên
+ * thành `app_YYYY_MM_DD.<n>.log`. File cũ được xóa theo chính sách lưu trữ (retention).
+ *
+ * @param {object} options
+ * @param {string} options.logDir
+ * @param {string} [options.source='MAIN'] - MAIN | RENDERER
+ * @param {function(): object} [options.getContext] - Field thêm vào mọi dòng log
+ * @param {function(): string} [options.getMinLevel] - debug | info | warn | error
+ * @param {function(): number} [options.getMaxFileBytes] - 0 = không giới hạn
+ * @param {function(object): void} [options.onEntry] - Gọi sau mỗi dòng được ghi
+ * @param {object} [options.output=console] - In kèm ra console (null để tắt)
+ * @returns {object} { debug, info, log, warn, error, write, child }
+ */
+function createLogger({
+    logDir,
+    source = 'MAIN',
+    getContext = () => ({}),
+    getMinLevel = () => 'info',
+    getMaxFileBytes = () => 10 * 1048576,
+    onEntry = null,
+    output = console
+}) {
+    // File đang ghi: { day, filePath, size }
+    let current = null;
+    const consoleMethods = output
+        ? { debug: output.log, info: output.log, warn: output.warn, error: output.error }
+        : null;
+
+    function getDay(date) {
+        return date.toISOString().split('T')[0].replace(/-/g, '_');
+    }
+
+    /**
+     * Đổi tên file đang ghi thành `<tên>.<n>.log` (n chưa dùng nhỏ nhất)
+     */
+    function rotate() {
+        const base = current.filePath.slice(0, -'.log'.length);
+        let index = 1;
+        while (fs.existsSync(`${base}.${index}.log`)) {
+            index++;
+        }
+        fs.renameSync(current.filePath, `${base}.${index}.log`);
+        current.size = 0;
+    }
+
+    function getFile(now, bytes) {
+        const day = getDay(now);
+        if (!current || current.day !== day) {
+            const filePath = path.join(logDir, `app_${day}.log`);
+            let size = 0;
+            try {
+                size = fs.statSync(filePath).size;
+            } catch {}
+            current = { day, filePath, size };
+        }
+        const maxBytes = getMaxFileBytes();
+        if (maxBytes > 0 && current.size > 0 && current.size + bytes > maxBytes) {
+            rotate();
+        }
+        return current;
+    }
+
+    function safeContext() {
+        try {
+            return getContext() || {};
+        } catch {
+            // Log sớm lúc khởi động, khi các biến trong context chưa sẵn sàng
+            return {};
+        }
+    }
+
+    /**
+     * Ghi một dòng log
+     * @param {string} level - debug | info | warn | error
+     * @param {string} entrySource - MAIN | RENDERER
+     * @param {Array} args - Tham số giống console.log
+     * @param {object} [context] - Field thêm vào dòng log
+     */
+    function write(level, entrySource, args, context = {}) {
+        if (!LEVELS[level]) {
+            level = 'info';
+        }
+        const minLevel = LEVELS[getMinLevel()] || LEVELS.info;
+        if (LEVELS[level] < minLevel) {
+            return;
+        }
+        if (consoleMethods) {
+            consoleMethods[level].apply(output, entrySource === source ? args : [`[${entrySource}]`, ...args]);
+        }
+
+        const now = new Date();
+        const { message, error } = formatArgs(args);
+        const entry = {
+            ts: now.toISOString(),
+            level,
+            source: entrySource,
+            msg: message,
+            ...safeContext(),
+            ...context
+        };
+        if (error) {
+            entry.error = error;
+        }
+
+        try {
+            const line = `${JSON.stringify(entry)}\n`;
+            const bytes = Buffer.byteLength(line);
+            fs.mkdirSync(logDir, { recursive: true });
+            const file = getFile(now, bytes);
+            fs.appendFileSync(file.filePath, line, 'utf8');
+            file.size += bytes;
+        } catch (err) {
+            // Nếu không ghi được log, in ra console
+            if (output) {
+                output.error('Failed to write log:', err.message);
+            }
+        }
+        if (onEntry) {
+            try {
+                onEntry(entry);
+            } catch {}
+        }
+    }
+
+    /**
+     * API của logger, `fields` được thêm vào mọi dòng (child logger, ví dụ { call_id })
+     * @param {object} [fields]
+     */
+    function createApi(fields = {}) {
+        const bind = level => (...args) => write(level, source, args, fields);
+        return {
+            debug: bind('debug'),
+            info: bind('info'),
+            // Tương thích với các module nhận `logger = console`
+            log: bind('info'),
+            warn: bind('warn'),
+            error: bind('error'),
+            write: (level, entrySource, args, context = {}) => write(level, entrySource, args, { ...fields, ...context }),
+            child: more => createApi({ ...fields, ...more })
+        };
+    }
+
+    return createApi();
+}
+
+module.exports = { createLogger, formatArgs, LEVELS };
@@ -0,0 +1,38 @@
+const { createWindowsProbe } = require('./windows');
+const { createLinuxProbe } = require('./linux');
+
+/**
+ * Tạo ProcessProbe theo nền tảng hiện tại.
+ * API chung (đều trả về Promise):
+ * - isRunning(name): process có đang chạy không
+ * - memoryKB(name): bộ nhớ đang dùng (KB), 0 nếu không chạy
+ * - cpuPercent(name): % CPU, 0 nếu không chạy
+ *
+ * @param {object} [options]
+ * @param {string} [options.platform=process.platform]
+ * @param {function(): object} [options.getEnv] - Env cho child process (Windows)
+ * @param {object} [options.logger=console]
+ * @returns {object} ProcessProbe
+ */
+function createProcessProbe({
+    platform = process.platform,
+    getEnv = () => process.env,
+    logger = console,
+    ...backendOptions
+} = {}) {
+    if (platform === 'win32') {
+        return createWindowsProbe({ getEnv, logger, ...backendOptions });
+    }
+    if (platform === 'linux') {
+        return createLinuxProbe(backendOptions);
+    }
+
+    logger.error(`process-probe: Platform "${platform}" is not supported, process detection is disabled`);
+    return {
+        isRunning: async () => false,
+        memoryKB: async () => 0,
+        cpuPercent: async () => 0
+    };
+}
+
+module.exports = { createProcessProbe };
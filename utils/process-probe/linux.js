@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+
+// Số tick/giây của kernel (USER_HZ), gần như luôn là 100 trên Linux
+const CLOCK_TICKS_PER_SECOND = 100;
+
+/**
+ * Chuẩn hóa tên process để so sánh: chữ thường, bỏ đuôi .exe
+ * (cho phép dùng cùng cấu hình "ZaloCall.exe" khi chạy qua Wine)
+ */
+function normalizeProcessName(name) {
+    return String(name || '').trim().toLowerCase().replace(/\.exe$/, '');
+}
+
+/**
+ * Parse `/proc/<pid>/status`, lấy VmRSS (KB)
+ * @param {string} content
+ * @returns {number}
+ */
+function parseStatusRssKB(content) {
+    const match = /^VmRSS:\s*(\d+)\s*kB/m.exec(content);
+    return match ? parseInt(match[1], 10) : 0;
+}
+
+/**
+ * Parse `/proc/<pid>/stat`, lấy tổng utime + stime (tick).
+ * Tên process (field 2) có thể chứa khoảng trắng nên tách sau dấu ")" cuối cùng.
+ * @param {string} content
+ * @returns {number}
+ */
+function parseStatCpuTicks(content) {
+    const fields = content.slice(content.lastIndexOf(')') + 2).split(' ');
+    // Sau ")" field đầu tiên là state (field 3), utime là field 14, stime là field 15
+    return (parseInt(fields[11], 10) || 0) + (parseInt(fields[12], 10) || 0);
+}
+
+/**
+ * Backend Linux: đọc trực tiếp từ /proc
+ * @param {object} options
+ * @param {string} [options.procDir='/proc']
+ * @param {number} [options.cpuSampleMs=500] - Khoảng thời gian lấy mẫu CPU
+ */
+function createLinuxProbe({ procDir = '/proc', cpuSampleMs = 500 } = {}) {
+    function readProcFile(pid, file) {
+        try {
+            return fs.readFileSync(path.join(procDir, String(pid), file), 'utf8');
+        } catch {
+            // Process có thể đã kết thúc giữa chừng
+            return null;
+        }
+    }
+
+    function findPids(name) {
+        const target = normalizeProcessName(name);
+        let entries;
+        try {
+            entries = fs.readdirSync(procDir);
+        } catch {
+            return [];
+        }
+
+        return entries.filter(entry => /^\d+$/.test(entry)).filter((pid) => {
+            // comm bị cắt còn 15 ký tự, nên so thêm với argv[0]
+            const comm = normalizeProcessName(readProcFile(pid, 'comm'));
+            if (comm && (comm === target || (comm.length === 15 && target.startsWith(comm)))) {
+                return true;
+            }
+            const cmdline = readProcFile(pid, 'cmdline');
+            if (!cmdline) {
+                return false;
+            }
+            const argv0 = cmdline.split('\0')[0].split(/[\\/]/).pop();
+            return normalizeProcessName(argv0) === target;
+        });
+    }
+
+    function readCpuTicks(pid) {
+        const stat = readProcFile(pid, 'stat');
+        return stat ? parseStatCpuTicks(stat) : null;
+    }
+
+    return {
+        async isRunning(name) {
+            return findPids(name).length > 0;
+        },
+
+        async memoryKB(name) {
+            const [pid] = findPids(name);
+            const status = pid ? readProcFile(pid, 'status') : null;
+            return status ? parseStatusRssKB(status) : 0;
+        },
+
+        async cpuPercent(name) {
+            const [pid] = findPids(name);
+            if (!pid) {
+                return 0;
+            }
+            const startTicks = readCpuTicks(pid);
+            const startTime = process.hrtime.bigint();
+            await new Promise(resolve => setTimeout(resolve, cpuSampleMs));
+            const endTicks = readCpuTicks(pid);
+            if (startTicks === null || endTicks === null) {
+                return 0;
+            }
+            const elapsedSeconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+            const cpuSeconds = (endTicks - startTicks) / CLOCK_TICKS_PER_SECOND;
+            return elapsedSeconds > 0 ? Math.round((cpuSeconds / elapsedSeconds) * 1000) / 10 : 0;
+        }
+    };
+}
+
+module.exports = { createLinuxProbe, normalizeProcessName, parseStatusRssKB, parseStatCpuTicks };
@@ -0,0 +1,116 @@
+const { execFile } = require('child_process');
+
+/**
+ * Tách một dòng CSV có quote ("a","b","c") thành mảng giá trị
+ */
+function parseCsvLine(line) {
+    const values = [];
+    const pattern = /"((?:[^"]|"")*)"/g;
+    let match;
+    while ((match = pattern.exec(line)) !== null) {
+        values.push(match[1].replace(/""/g, '"'));
+    }
+    return values;
+}
+
+/**
+ * Parse output của `tasklist /fo csv /nh`.
+ * Dùng CSV thay vì bảng text vì độ rộng cột và dấu phân cách hàng nghìn
+ * thay đổi theo ngôn ngữ Windows ("123,456 K", "123.456 K", "123 456 K").
+ * @param {string} stdout
+ * @returns {Array<{name: string, pid: number, memoryKB: number}>}
+ */
+function parseTasklistCsv(stdout) {
+    return stdout.split(/\r?\n/)
+        .map(line => parseCsvLine(line))
+        // Bỏ qua dòng "INFO: No tasks are running..." (không phải CSV)
+        .filter(values => values.length >= 5)
+        .map(([name, pid, , , memUsage]) => ({
+            name,
+            pid: parseInt(pid, 10),
+            memoryKB: parseInt(memUsage.replace(/\D/g, ''), 10) || 0
+        }));
+}
+
+/**
+ * Parse output của `typeperf ... -sc 1`, lấy giá trị của dòng dữ liệu cuối.
+ * Một số ngôn ngữ dùng dấu phẩy cho phần thập phân ("12,5").
+ * @param {string} stdout
+ * @returns {number}
+ */
+function parseTypeperfValue(stdout) {
+    const rows = stdout.split(/\r?\n/)
+        .map(line => parseCsvLine(line))
+        .filter(values => values.length >= 2);
+    // Dòng đầu là header, các dòng sau là dữ liệu
+    if (rows.length < 2) {
+        return 0;
+    }
+    const value = rows[rows.length - 1][1].replace(',', '.');
+    return parseFloat(value) || 0;
+}
+
+/**
+ * Backend Windows: dùng tasklist và typeperf
+ * @param {object} options
+ * @param {function(): object} options.getEnv - Env cho child process
+ * @param {object} options.logger
+ */
+function createWindowsProbe({ getEnv, logger }) {
+    // execFile: tên process (có thể đến từ remote config) không đi qua shell
+    function run(file, args) {
+        return new Promise((resolve, reject) => {
+            execFile(file, args, {
+                env: getEnv()
+            }, (error, stdout, stderr) => {
+                if (error) {
+                    error.stderr = stderr;
+                    reject(error);
+                    return;
+                }
+                resolve(stdout);
+            });
+        });
+    }
+
+    async function findProcesses(name) {
+        try {
+            const stdout = await run('tasklist', ['/fo', 'csv', '/nh', '/fi', `imagename eq ${name}`]);
+            return parseTasklistCsv(stdout)
+                .filter(proc => proc.name.toLowerCase() === name.toLowerCase());
+        } catch (error) {
+            // code 1 là "not found", không phải lỗi thực sự
+            if (error.code !== 1) {
+                logger.error('process-probe: Error executing tasklist:', error.message);
+                if (error.stderr) {
+                    logger.error('process-probe: tasklist stderr:', error.stderr);
+                }
+            }
+            return [];
+        }
+    }
+
+    return {
+        async isRunning(name) {
+            return (await findProcesses(name)).length > 0;
+        },
+
+        async memoryKB(name) {
+            const [proc] = await findProcesses(name);
+            return proc ? proc.memoryKB : 0;
+        },
+
+        async cpuPercent(name) {
+            // Tên instance của performance counter không có đuôi .exe
+            const instance = name.replace(/\.exe$/i, '');
+            try {
+                const stdout = await run('typeperf', [`\\Process(${instance})\\% Processor Time`, '-sc', '1']);
+                return parseTypeperfValue(stdout);
+            } catch {
+                return 0;
+            }
+        }
+    };
+}
+
+module.exports = { createWindowsProbe, parseTasklistCsv, parseTypeperfValue };
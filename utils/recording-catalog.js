@@ -0,0 +1,250 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Các trạng thái của một bản ghi trong catalog:
+ * - recording: đang ghi (stream chunk xuống file .partial.webm)
+ * - saved: đã convert xong, chưa đưa vào hàng đợi upload
+ * - conversion_failed: convert lỗi, file WebM được giữ lại để recovery
+ * - queued: đã vào hàng đợi upload, đang chờ/retry
+ * - uploading: đang upload (xem uploadStep: presign/put/history)
+ * - uploaded: đã lưu lịch sử lên server (có callUrl)
+ * - failed: upload lỗi vĩnh viễn
+ */
+const UPLOAD_STATES = ['recording', 'saved', 'conversion_failed', 'queued', 'uploading', 'uploaded', 'failed'];
+
+/**
+ * Tính SHA-256 của file (đọc dạng stream, không nạp cả file vào bộ nhớ)
+ * @param {string} filePath
+ * @returns {Promise<string>} hex digest
+ */
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('error', reject)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')));
+    });
+}
+
+// Trạng thái cuối: entry không còn thay đổi, có thể bị dọn khi catalog quá lớn
+const FINAL_STATES = ['uploaded', 'failed'];
+
+/**
+ * Catalog lưu thông tin của tất cả bản ghi (một entry cho mỗi cuộc gọi) trong một file JSON.
+ * Entry vẫn được giữ sau khi file audio bị xóa lúc upload xong, để tra cứu lịch sử,
+ * cho đến khi bị dọn bởi prune().
+ *
+ * Các thay đổi được gom lại và ghi xuống đĩa sau `flushDelayMs` (không ghi lại cả file ở mỗi lần update);
+ * gọi flush() trước khi thoát app.
+ *
+ * @param {object} options
+ * @param {string} options.catalogFile - Đường dẫn file JSON lưu catalog
+ * @param {number} [options.maxErrors=20] - Số lỗi gần nhất giữ lại cho mỗi entry
+ * @param {number} [options.maxEntries=5000] - Số entry tối đa, entry cũ nhất ở trạng thái cuối bị xóa trước
+ * @param {number} [options.flushDelayMs=1000]
+ * @param {object} [options.logger=console]
+ * @returns {object} API của catalog
+ */
+function createRecordingCatalog({ catalogFile, maxErrors = 20, maxEntries = 5000, flushDelayMs = 1000, logger = console }) {
+    let entries = loadEntries();
+    let flushTimer = null;
+
+    function loadEntries() {
+        try {
+            if (!fs.existsSync(catalogFile)) {
+                return {};
+            }
+            const parsed = JSON.parse(fs.readFileSync(catalogFile, 'utf8'));
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+        } catch (err) {
+            // File hỏng: giữ lại bản sao để kiểm tra, bắt đầu với catalog rỗng
+            logger.error('recording-catalog: Failed to read catalog file, starting empty:', err.message);
+            try {
+                fs.renameSync(catalogFile, `${catalogFile}.corrupt-${Date.now()}`);
+            } catch {}
+            return {};
+        }
+    }
+
+    /**
+     * Ghi catalog xuống đĩa ngay (hủy lần ghi đang chờ)
+     */
+    function flush() {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+        try {
+            fs.mkdirSync(path.dirname(catalogFile), { recursive: true });
+            // Ghi ra file tạm rồi rename để tránh hỏng file khi mất điện giữa chừng
+            const tempFile = `${catalogFile}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(entries), 'utf8');
+            fs.renameSync(tempFile, catalogFile);
+        } catch (err) {
+            logger.error('recording-catalog: Failed to persist catalog:', err.message);
+        }
+    }
+
+    function persist() {
+        if (!flushTimer) {
+            flushTimer = setTimeout(flush, flushDelayMs);
+        }
+    }
+
+    /**
+     * Dọn catalog: xóa entry đã upload cũ hơn `uploadedMaxAgeMs` (0 = không xóa theo tuổi),
+     * sau đó nếu vẫn quá `maxEntries` thì xóa các entry ở trạng thái cuối cũ nhất
+     * @param {object} [options]
+     * @param {number} [options.uploadedMaxAgeMs=0]
+     * @param {number} [options.now=Date.now()]
+     * @returns {number} Số entry đã xóa
+     */
+    function prune({ uploadedMaxAgeMs = 0, now = Date.now() } = {}) {
+        let removed = 0;
+        if (uploadedMaxAgeMs > 0) {
+            Object.values(entries).forEach((entry) => {
+                if (entry.uploadState === 'uploaded' && now - (entry.uploadedAt || entry.updatedAt) > uploadedMaxAgeMs) {
+                    delete entries[entry.id];
+                    removed++;
+                }
+            });
+        }
+        const excess = Object.keys(entries).length - maxEntries;
+        if (excess > 0) {
+            Object.values(entries)
+                .filter(entry => FINAL_STATES.includes(entry.uploadState))
+                .sort((a, b) => a.updatedAt - b.updatedAt)
+                .slice(0, excess)
+                .forEach((entry) => {
+                    delete entries[entry.id];
+                    removed++;
+                });
+        }
+        if (removed) {
+            persist();
+        }
+        return removed;
+    }
+
+    /**
+     * Tạo mới hoặc cập nhật entry
+     * @param {string} id - recordingId
+     * @param {object} fields - Các field cần cập nhật
+     * @returns {object|null} Bản sao của entry sau khi cập nhật
+     */
+    function update(id, fields) {
+        if (!id) {
+            return null;
+        }
+        if (fields.uploadState && !UPLOAD_STATES.includes(fields.uploadState)) {
+            logger.error(`recording-catalog: Unknown upload state "${fields.uploadState}" for ${id}`);
+        }
+        const now = Date.now();
+        const entry = entries[id] || {
+            id,
+            filePath: null,
+            hash: null,
+            durationMs: null,
+            size: null,
+            uploadState: 'recording',
+            uploadStep: null,
+            callUrl: null,
+            errors: [],
+            createdAt: now
+        };
+        Object.assign(entry, fields, { id, updatedAt: now });
+        entries[id] = entry;
+        persist();
+        return { ...entry };
+    }
+
+    /**
+     * Ghi lại một lỗi vào lịch sử lỗi của entry
+     * @param {string} id - recordingId
+     * @param {string} step - Bước bị lỗi (convert, presign, put, history...)
+     * @param {Error|string} error
+     * @param {object} [fields] - Các field cần cập nhật cùng lúc (ví dụ uploadState)
+     */
+    function addError(id, step, error, fields = {}) {
+        if (!id) {
+            return null;
+        }
+        const errors = entries[id]?.errors || [];
+        errors.push({
+            at: Date.now(),
+            step,
+            message: error instanceof Error ? error.message : String(error)
+        });
+        return update(id, { ...fields, errors: errors.slice(-maxErrors) });
+    }
+
+    function get(id) {
+        return entries[id] ? { ...entries[id] } : null;
+    }
+
+    function findByPath(filePath) {
+        const entry = Object.values(entries).find(e => e.filePath === filePath);
+        return entry ? { ...entry } : null;
+    }
+
+    /**
+     * Tìm các bản ghi theo điều kiện, mới nhất trước
+     * @param {object} [filter]
+     * @param {string|string[]} [filter.uploadState] - Lọc theo trạng thái
+     * @param {number} [filter.since] - Chỉ lấy bản ghi bắt đầu từ thời điểm này (ms)
+     * @param {number} [filter.until] - Chỉ lấy bản ghi bắt đầu trước thời điểm này (ms)
+     * @param {string} [filter.phoneNumber]
+     * @param {number} [filter.limit] - Số bản ghi tối đa
+     * @returns {object[]}
+     */
+    function query({ uploadState, since, until, phoneNumber, limit } = {}) {
+        const states = uploadState ? [].concat(uploadState) : null;
+        const result = Object.values(entries)
+            .filter((entry) => {
+                const startedAt = entry.beginTime || entry.createdAt;
+                if (states && !states.includes(entry.uploadState)) {
+                    return false;
+                }
+                if (since && startedAt < since) {
+                    return false;
+                }
+                if (until && startedAt >= until) {
+                    return false;
+                }
+                if (phoneNumber && entry.phoneNumber !== phoneNumber) {
+                    return false;
+                }
+                return true;
+            })
+            .sort((a, b) => (b.beginTime || b.createdAt) - (a.beginTime || a.createdAt))
+            .map(entry => ({ ...entry }));
+        return limit > 0 ? result.slice(0, limit) : result;
+    }
+
+    /**
+     * Đếm số bản ghi theo từng trạng thái
+     * @returns {object} uploadState -> số lượng
+     */
+    function countByState() {
+        const counts = {};
+        Object.values(entries).forEach((entry) => {
+            counts[entry.uploadState] = (counts[entry.uploadState] || 0) + 1;
+        });
+        return counts;
+    }
+
+    return {
+        update,
+        addError,
+        get,
+        findByPath,
+        query,
+        countByState,
+        prune,
+        flush,
+        size: () => Object.keys(entries).length
+    };
+}
+
+module.exports = { createRecordingCatalog, hashFile, UPLOAD_STATES };
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Định dạng file mã hóa: MAGIC | IV (12 byte) | ciphertext | auth tag (16 byte)
+const MAGIC = Buffer.from('ZREC1\0', 'latin1');
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const HEADER_LENGTH = MAGIC.length + IV_LENGTH;
+const ALGORITHM = 'aes-256-gcm';
+const KEY_WRAP_ALGORITHM = 'rsa-oaep-sha256';
+
+/**
+ * Đọc khóa AES-256 của máy, tạo mới nếu chưa có.
+ * Khóa được bảo vệ bằng safeStorage (DPAPI trên Windows) nếu có, ngược lại lưu dạng thô.
+ * File khóa tồn tại nhưng không đọc được thì báo lỗi (không tạo khóa mới để tránh mất bản ghi cũ).
+ *
+ * @param {string} keyFile
+ * @param {object} [safeStorage] - electron.safeStorage
+ * @returns {Buffer}
+ */
+function loadOrCreateDeviceKey(keyFile, safeStorage = null) {
+    if (fs.existsSync(keyFile)) {
+        const stored = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+        const raw = Buffer.from(stored.key, 'base64');
+        const key = stored.protection === 'safeStorage'
+            ? Buffer.from(safeStorage.decryptString(raw), 'base64')
+            : raw;
+        if (key.length !== 32) {
+            throw new Error(`Invalid recording key in ${keyFile}`);
+        }
+        return key;
+    }
+
+    const key = crypto.randomBytes(32);
+    const useSafeStorage = !!safeStorage && safeStorage.isEncryptionAvailable();
+    const stored = {
+        algorithm: ALGORITHM,
+        protection: useSafeStorage ? 'safeStorage' : 'none',
+        createdAt: new Date().toISOString(),
+        key: useSafeStorage
+            ? safeStorage.encryptString(key.toString('base64')).toString('base64')
+            : key.toString('base64')
+    };
+    fs.mkdirSync(path.dirname(keyFile), { recursive: true });
+    fs.writeFileSync(keyFile, JSON.stringify(stored, null, 2), { encoding: 'utf8', mode: 0o600 });
+    return key;
+}
+
+/**
+ * File có phải bản ghi đã mã hóa không (kiểm tra MAGIC ở đầu file)
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+function isEncryptedFile(filePath) {
+    let fd;
+    try {
+        fd = fs.openSync(filePath, 'r');
+        const header = Buffer.alloc(MAGIC.length);
+        const bytesRead = fs.readSync(fd, header, 0, MAGIC.length, 0);
+        return bytesRead === MAGIC.length && header.equals(MAGIC);
+    } catch {
+        return false;
+    } finally {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+/**
+ * Kích thước dữ liệu gốc của file mã hóa
+ * @param {string} filePath
+ * @returns {number}
+ */
+function getPlaintextSize(filePath) {
+    return Math.max(0, fs.statSync(filePath).size - HEADER_LENGTH - TAG_LENGTH);
+}
+
+/**
+ * Mã hóa file (ghi ra file tạm rồi rename, file gốc không còn bản rõ trên đĩa).
+ * Mặc định mã hóa tại chỗ; có `outputPath` thì ghi bản mã hóa sang đó và xóa file gốc.
+ * Lỗi thì file gốc được giữ nguyên.
+ * @param {string} filePath
+ * @param {Buffer} key
+ * @param {string} [outputPath=filePath]
+ */
+async function encryptFile(filePath, key, outputPath = filePath) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const tempPath = `${outputPath}.enc.tmp`;
+
+    try {
+        const output = fs.createWriteStream(tempPath);
+        output.write(Buffer.concat([MAGIC, iv]));
+        await pipeline(fs.createReadStream(filePath), cipher, output, { end: false });
+        await new Promise((resolve, reject) => {
+            output.end(cipher.getAuthTag(), err => (err ? reject(err) : resolve()));
+        });
+        fs.renameSync(tempPath, outputPath);
+    } catch (err) {
+        fs.rmSync(tempPath, { force: true });
+        throw err;
+    }
+    if (outputPath !== filePath) {
+        fs.unlinkSync(filePath);
+    }
+}
+
+/**
+ * Mã hóa dữ liệu nhỏ trong bộ nhớ (cùng định dạng với file mã hóa, dùng cho sidecar .json)
+ * @param {Buffer|string} data
+ * @param {Buffer} key
+ * @returns {Buffer}
+ */
+function encryptBuffer(data, key) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    const ciphertext = Buffer.concat([cipher.update(data), cipher.final()]);
+    return Buffer.concat([MAGIC, iv, ciphertext, cipher.getAuthTag()]);
+}
+
+/**
+ * Dữ liệu có phải dạng mã hóa không (kiểm tra MAGIC ở đầu)
+ * @param {Buffer} data
+ * @returns {boolean}
+ */
+function isEncryptedBuffer(data) {
+    return data.length >= HEADER_LENGTH + TAG_LENGTH && data.subarray(0, MAGIC.length).equals(MAGIC);
+}
+
+/**
+ * Giải mã dữ liệu từ encryptBuffer (báo lỗi nếu dữ liệu bị sửa)
+ * @param {Buffer} data
+ * @param {Buffer} key
+ * @returns {Buffer}
+ */
+function decryptBuffer(data, key) {
+    if (!isEncryptedBuffer(data)) {
+        throw new Error('Not encrypted data');
+    }
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, data.subarray(MAGIC.length, HEADER_LENGTH));
+    decipher.setAuthTag(data.subarray(data.length - TAG_LENGTH));
+    return Buffer.concat([decipher.update(data.subarray(HEADER_LENGTH, data.length - TAG_LENGTH)), decipher.final()]);
+}
+
+/**
+ * Stream dữ liệu đã giải mã của file. Nếu file bị sửa, stream báo lỗi khi đọc tới cuối.
+ * @param {string} filePath
+ * @param {Buffer} key
+ * @returns {Readable}
+ */
+function createDecryptStream(filePath, key) {
+    const size = fs.statSync(filePath).size;
+    if (size < HEADER_LENGTH + TAG_LENGTH) {
+        throw new Error(`Encrypted file is truncated: ${filePath}`);
+    }
+    const fd = fs.openSync(filePath, 'r');
+    const header = Buffer.alloc(HEADER_LENGTH);
+    const tag = Buffer.alloc(TAG_LENGTH);
+    try {
+        fs.readSync(fd, header, 0, HEADER_LENGTH, 0);
+        fs.readSync(fd, tag, 0, TAG_LENGTH, size - TAG_LENGTH);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (!header.subarray(0, MAGIC.length).equals(MAGIC)) {
+        throw new Error(`Not an encrypted recording: ${filePath}`);
+    }
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, header.subarray(MAGIC.length));
+    decipher.setAuthTag(tag);
+    const input = size - TAG_LENGTH > HEADER_LENGTH
+        ? fs.createReadStream(filePath, { start: HEADER_LENGTH, end: size - TAG_LENGTH - 1 })
+        : Readable.from([]);
+    input.on('error', err => decipher.destroy(err));
+    return input.pipe(decipher);
+}
+
+/**
+ * Giải mã file ra đường dẫn khác (dùng cho lệnh giải mã của admin)
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {Buffer} key
+ */
+async function decryptFile(inputPath, outputPath, key) {
+    const tempPath = `${outputPath}.tmp`;
+    try {
+        await pipeline(createDecryptStream(inputPath, key), fs.createWriteStream(tempPath));
+        fs.renameSync(tempPath, outputPath);
+    } catch (err) {
+        fs.rmSync(tempPath, { force: true });
+        throw err;
+    }
+}
+
+/**
+ * Bọc khóa của máy bằng public key RSA của server (để server giải mã file upload dạng mã hóa)
+ * @param {Buffer} key
+ * @param {string} publicKeyPem
+ * @returns {string} base64
+ */
+function wrapKey(key, publicKeyPem) {
+    return crypto.publicEncrypt({
+        key: publicKeyPem,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: 'sha256'
+    }, key).toString('base64');
+}
+
+/**
+ * Mở khóa đã bọc bằng private key RSA tương ứng
+ * @param {string} wrappedKey - base64
+ * @param {string} privateKeyPem
+ * @returns {Buffer}
+ */
+function unwrapKey(wrappedKey, privateKeyPem) {
+    return crypto.privateDecrypt({
+        key: privateKeyPem,
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING,
+        oaepHash: 'sha256'
+    }, Buffer.from(wrappedKey, 'base64'));
+}
+
+module.exports = {
+    ALGORITHM,
+    KEY_WRAP_ALGORITHM,
+    loadOrCreateDeviceKey,
+    isEncryptedFile,
+    getPlaintextSize,
+    encryptFile,
+    encryptBuffer,
+    isEncryptedBuffer,
+    decryptBuffer,
+    createDecryptStream,
+    decryptFile,
+    wrapKey,
+    unwrapKey
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { encryptBuffer, isEncryptedBuffer, decryptBuffer } = require('./recording-crypto');
+
+/**
+ * Định dạng thời gian ISO 8601 theo giờ địa phương, kèm offset múi giờ
+ * @param {number} timestamp - ms
+ * @returns {string} ví dụ: 2026-01-02T09:15:00.000+07:00
+ */
+function toLocalISOString(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n, width = 2) => String(Math.abs(n)).padStart(width, '0');
+    const offsetMinutes = -date.getTimezoneOffset();
+    const sign = offsetMinutes >= 0 ? '+' : '-';
+
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}` +
+        `${sign}${pad(Math.floor(Math.abs(offsetMinutes) / 60))}:${pad(Math.abs(offsetMinutes) % 60)}`;
+}
+
+/**
+ * Tạo metadata của một bản ghi (nội dung file sidecar .json)
+ * @param {object} info
+ * @returns {object}
+ */
+function buildRecordingMetadata({
+    recordingId,
+    nameCode,
+    appVersion,
+    codeVersion,
+    beginTime,
+    endTime,
+    startMetrics = null,
+    stopMetrics = null,
+    micConnected = null,
+    systemConnected = null,
+    phoneNumber = null,
+    channelLayout = null,
+    audioFilters = null,
+    outputFormat = null,
+    recovered = false,
+    incomplete = false
+}) {
+    return {
+        recording_id: recordingId || null,
+        name_code: nameCode || null,
+        app_version: appVersion || null,
+        code_version: codeVersion || null,
+        begin_time: toLocalISOString(beginTime),
+        end_time: toLocalISOString(endTime),
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        duration_ms: Math.max(0, endTime - beginTime),
+        detection: {
+            start: startMetrics,
+            stop: stopMetrics
+        },
+        audio_sources: {
+            mic_connected: micConnected,
+            system_connected: systemConnected
+        },
+        phone_number: phoneNumber,
+        channel_layout: channelLayout,
+        audio_filters: audioFilters,
+        output_format: outputFormat,
+        recovered,
+        // Ghi file bị lỗi giữa cuộc gọi: audio chỉ có phần trước khi lỗi
+        incomplete: !!incomplete
+    };
+}
+
+/**
+ * Chuyển metadata thành các tag nhúng trong file audio
+ * (ID3 cho mp3, Vorbis comment cho ogg, atom cho m4a, INFO cho wav)
+ * @param {object} metadata - Kết quả từ buildRecordingMetadata
+ * @returns {object} tag name -> value
+ */
+function buildMetadataTags(metadata) {
+    const tags = {
+        title: `Zalo call ${metadata.begin_time}`,
+        artist: metadata.name_code,
+        album: 'Zalo Recorder',
+        date: metadata.begin_time.slice(0, 10),
+        comment: metadata.phone_number ? `Phone: ${metadata.phone_number}` : null,
+        recording_id: metadata.recording_id,
+        name_code: metadata.name_code,
+        app_version: metadata.app_version,
+        begin_time: metadata.begin_time,
+        end_time: metadata.end_time,
+        duration_ms: metadata.duration_ms,
+        phone_number: metadata.phone_number,
+        channel_layout: metadata.channel_layout
+    };
+
+    Object.keys(tags).forEach((key) => {
+        if (tags[key] === null || tags[key] === undefined || tags[key] === '') {
+            delete tags[key];
+        }
+    });
+    return tags;
+}
+
+/**
+ * Tạo tham số -metadata cho FFmpeg
+ * @param {object} tags - Kết quả từ buildMetadataTags
+ * @param {string} formatName - 'mp3' | 'opus' | 'm4a' | 'wav'
+ * @returns {string[]} Danh sách tham số (argv) cho execFile, giá trị không đi qua shell
+ */
+function buildMetadataArgs(tags, formatName) {
+    const args = [];
+    Object.entries(tags).forEach(([key, value]) => {
+        // Tag nhiều dòng không hiển thị được trong các trình phát
+        args.push('-metadata', `${key}=${String(value).replace(/[\r\n]+/g, ' ')}`);
+    });
+
+    if (formatName === 'mp3') {
+        // ID3v2.3 tương thích tốt nhất với Windows Explorer
+        args.push('-id3v2_version', '3');
+    }
+    if (formatName === 'm4a') {
+        // Cho phép ghi các tag tùy chỉnh vào file MP4
+        args.push('-movflags', 'use_metadata_tags');
+    }
+    return args;
+}
+
+/**
+ * Đường dẫn file sidecar .json nằm cạnh file audio
+ * @param {string} audioPath
+ * @returns {string}
+ */
+function getSidecarPath(audioPath) {
+    const parsed = path.parse(audioPath);
+    return path.join(parsed.dir, `${parsed.name}.json`);
+}
+
+/**
+ * Ghi file sidecar .json cạnh file audio
+ * @param {string} audioPath
+ * @param {object} metadata
+ * @param {Buffer} [key] - Có khóa thì sidecar được mã hóa giống file audio
+ * @returns {string} Đường dẫn file sidecar
+ */
+function writeSidecar(audioPath, metadata, key = null) {
+    const sidecarPath = getSidecarPath(audioPath);
+    const json = JSON.stringify(metadata, null, 2);
+    fs.writeFileSync(sidecarPath, key ? encryptBuffer(Buffer.from(json, 'utf8'), key) : json);
+    return sidecarPath;
+}
+
+/**
+ * Đọc file sidecar của file audio (nếu có)
+ * @param {string} audioPath
+ * @param {function(): Buffer} [getKey] - Lấy khóa khi sidecar đã được mã hóa
+ * @returns {object|null}
+ */
+function readSidecar(audioPath, getKey = null) {
+    try {
+        let data = fs.readFileSync(getSidecarPath(audioPath));
+        if (isEncryptedBuffer(data)) {
+            if (!getKey) {
+                return null;
+            }
+            data = decryptBuffer(data, getKey());
+        }
+        return JSON.parse(data.toString('utf8'));
+    } catch {
+        return null;
+    }
+}
+
+module.exports = {
+    toLocalISOString,
+    buildRecordingMetadata,
+    buildMetadataTags,
+    buildMetadataArgs,
+    getSidecarPath,
+    writeSidecar,
+    readSidecar
+};
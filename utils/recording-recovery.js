@@ -0,0 +1,103 @@
+const fs = require('fs');
+const path = require('path');
+
+// Thư mục ngày dạng dd_mm_yyyy
+const DATE_FOLDER_PATTERN = /^\d{2}_\d{2}_\d{4}$/;
+const PARTIAL_SUFFIX = '.partial.webm';
+const UNRECOVERABLE_SUFFIX = '.unrecoverable.webm';
+const PREROLL_SUFFIX = '.preroll.wav';
+
+/**
+ * Quét OUTPUT_DIR để tìm các bản ghi bị bỏ dở (app/máy tắt giữa cuộc gọi).
+ *
+ * Kết quả gồm 3 loại:
+ * - partial: file đang stream dở (`<recordingId>.partial.webm`)
+ * - webm: file WebM đã hoàn tất nhưng chưa convert
+ * - audio: file đã convert nhưng chưa nằm trong upload queue
+ *
+ * @param {string} outputDir - Thư mục gốc chứa các thư mục ngày
+ * @param {object} [options]
+ * @param {string[]} [options.audioExtensions=['.mp3']] - Đuôi file audio đã convert
+ * @param {function(string): boolean} [options.isQueued] - File đã nằm trong upload queue chưa
+ * @param {function(string): boolean} [options.isActive] - recordingId có đang được ghi không
+ * @returns {Array<object>} Danh sách { type, path, recordingId, size, birthtimeMs, mtimeMs }
+ */
+function findOrphanedRecordings(outputDir, {
+    audioExtensions = ['.mp3'],
+    isQueued = () => false,
+    isActive = () => false
+} = {}) {
+    const results = [];
+
+    if (!fs.existsSync(outputDir)) {
+        return results;
+    }
+
+    const dateFolders = fs.readdirSync(outputDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && DATE_FOLDER_PATTERN.test(entry.name));
+
+    for (const folder of dateFolders) {
+        const dateDir = path.join(outputDir, folder.name);
+        const files = fs.readdirSync(dateDir);
+
+        for (const file of files) {
+            const filePath = path.join(dateDir, file);
+            const ext = path.extname(file).toLowerCase();
+            let orphan = null;
+
+            // File pre-roll được xử lý cùng file partial tương ứng
+            if (file.endsWith(UNRECOVERABLE_SUFFIX) || file.endsWith(PREROLL_SUFFIX)) {
+                continue;
+            } else if (file.endsWith(PARTIAL_SUFFIX)) {
+                const recordingId = file.slice(0, -PARTIAL_SUFFIX.length);
+                if (!isActive(recordingId)) {
+                    orphan = { type: 'partial', recordingId };
+                }
+            } else if (ext === '.webm') {
+                orphan = { type: 'webm', recordingId: null };
+            } else if (audioExtensions.includes(ext) && !isQueued(filePath)) {
+                // Nếu còn file WebM gốc thì convert lại từ WebM (file audio có thể convert dở)
+                const webmPath = filePath.slice(0, -ext.length) + '.webm';
+                if (!files.includes(path.basename(webmPath))) {
+                    orphan = { type: 'audio', recordingId: null };
+                }
+            }
+
+            if (!orphan) {
+                continue;
+            }
+
+            try {
+                const stats = fs.statSync(filePath);
+                results.push({
+                    ...orphan,
+                    path: filePath,
+                    size: stats.size,
+                    birthtimeMs: stats.birthtimeMs,
+                    mtimeMs: stats.mtimeMs
+                });
+            } catch {}
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Lấy thời điểm bắt đầu ghi từ recordingId dạng `rec_<timestamp>`
+ * @param {string|null} recordingId
+ * @returns {number|null} Timestamp (ms) hoặc null nếu không parse được
+ */
+function parseRecordingStartTime(recordingId) {
+    const match = /^rec_(\d+)$/.exec(recordingId || '');
+    return match ? parseInt(match[1], 10) : null;
+}
+
+module.exports = {
+    findOrphanedRecordings,
+    parseRecordingStartTime,
+    DATE_FOLDER_PATTERN,
+    PARTIAL_SUFFIX,
+    UNRECOVERABLE_SUFFIX,
+    PREROLL_SUFFIX
+};
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Đọc ID của máy, tạo mới (UUID) và lưu lại nếu chưa có.
+ * ID được giữ nguyên qua các lần cập nhật app để server nhận diện từng máy.
+ * @param {string} filePath
+ * @returns {string}
+ */
+function loadOrCreateDeviceId(filePath) {
+    try {
+        const existing = fs.readFileSync(filePath, 'utf8').trim();
+        if (existing) {
+            return existing;
+        }
+    } catch {}
+
+    const deviceId = crypto.randomUUID();
+    try {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, deviceId, 'utf8');
+    } catch {}
+    return deviceId;
+}
+
+/**
+ * Đọc tài liệu cấu hình remote đã lưu lần trước
+ * @param {string} cacheFile
+ * @returns {{version: *, fetchedAt: number, config: object}|null}
+ */
+function readRemoteConfigCache(cacheFile) {
+    try {
+        const cached = JSON.parse(fs.readFileSync(cacheFile, 'utf8'));
+        return cached && typeof cached.config === 'object' ? cached : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Định kỳ lấy cấu hình từ server, lưu cache và áp dụng.
+ * Lỗi mạng không làm mất cấu hình: giữ nguyên tài liệu đã áp dụng trước đó.
+ *
+ * @param {object} options
+ * @param {function(): Promise<object|null>} options.fetchDocument - Lấy tài liệu từ server,
+ *        trả về null nếu chưa cấu hình API, throw nếu lỗi
+ * @param {string} options.cacheFile - File lưu tài liệu gần nhất
+ * @param {function(object): void} options.applyConfig - Áp dụng phần `config` của tài liệu
+ * @param {function(): number} options.getIntervalMs - Chu kỳ lấy cấu hình (đọc lại mỗi lần, có thể đổi từ remote)
+ * @param {object} [options.logger=console]
+ * @returns {{start: function, stop: function, refresh: function(): Promise<boolean>}}
+ */
+function createRemoteConfigClient({ fetchDocument, cacheFile, applyConfig, getIntervalMs, logger = console }) {
+    let timer = null;
+    let started = false;
+    let lastDocument = readRemoteConfigCache(cacheFile);
+
+    function persist(document) {
+        try {
+            fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+            // Ghi ra file tạm rồi rename để tránh hỏng file khi mất điện giữa chừng
+            const tempFile = `${cacheFile}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(document, null, 2), 'utf8');
+            fs.renameSync(tempFile, cacheFile);
+        } catch (err) {
+            logger.error('remote-config: Failed to write cache:', err.message);
+        }
+    }
+
+    /**
+     * Lấy cấu hình ngay
+     * @returns {Promise<boolean>} True nếu cấu hình thay đổi
+     */
+    async function refresh() {
+        const response = await fetchDocument();
+        if (!response) {
+            return false;
+        }
+        // Server có thể trả { version, config: {...} } hoặc trực tiếp {...}
+        const config = response.config && typeof response.config === 'object' ? response.config : response;
+        const document = { version: response.version ?? null, fetchedAt: Date.now(), config };
+
+        if (lastDocument && JSON.stringify(lastDocument.config) === JSON.stringify(config)) {
+            return false;
+        }
+        lastDocument = document;
+        persist(document);
+        applyConfig(config);
+        logger.log(`[REMOTE CONFIG] Applied version ${document.version ?? '(none)'}: ${Object.keys(config).join(', ') || '(empty)'}`);
+        return true;
+    }
+
+    function scheduleNext() {
+        if (!started) {
+            return;
+        }
+        timer = setTimeout(async () => {
+            timer = null;
+            try {
+                await refresh();
+            } catch (err) {
+                logger.error('remote-config: Failed to fetch config, keeping current:', err.message);
+            }
+            scheduleNext();
+        }, getIntervalMs());
+    }
+
+    function start() {
+        if (started) {
+            return;
+        }
+        started = true;
+        refresh()
+            .catch((err) => {
+                logger.error('remote-config: Failed to fetch config, keeping current:', err.message);
+            })
+            .finally(scheduleNext);
+    }
+
+    function stop() {
+        started = false;
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+    }
+
+    return { start, stop, refresh };
+}
+
+module.exports = { loadOrCreateDeviceId, readRemoteConfigCache, createRemoteConfigClient };
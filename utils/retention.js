@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const { DATE_FOLDER_PATTERN, UNRECOVERABLE_SUFFIX } = require('./recording-recovery');
+
+/**
+ * Dọn dẹp OUTPUT_DIR và LOG_DIR theo chính sách lưu trữ.
+ *
+ * Mỗi bản ghi (file audio hoặc `.unrecoverable.webm`, kèm sidecar .json) có một trạng thái
+ * do `getRecordingState` trả về:
+ * - uploaded: đã upload xong (thường đã bị xóa sau khi upload, còn lại nếu xóa lỗi)
+ * - failed: upload/convert lỗi hẳn - chỉ bị xóa khi chính sách cho phép rõ ràng
+ * - pending: chưa upload (đang ghi, trong hàng đợi, chờ recovery...) - không bao giờ bị xóa
+ * File tạm (.partial.webm, .webm, .preroll.wav) luôn được giữ lại cho bước recovery.
+ *
+ * @param {object} options
+ * @param {string} options.outputDir
+ * @param {string} options.logDir
+ * @param {string[]} options.audioExtensions - Đuôi file audio đã convert
+ * @param {function(): object} options.getPolicy - Chính sách hiện tại (đọc lại mỗi lần chạy), 0 = không giới hạn:
+ *        { maxTotalBytes, uploadedMaxAgeMs, failedMaxAgeMs, deleteFailedForSpace, logMaxAgeMs }
+ * @param {function(string): string} options.getRecordingState - 'uploaded' | 'failed' | 'pending'
+ * @param {function(string, string): void} [options.onDelete] - Gọi sau khi xóa một bản ghi (filePath, reason)
+ * @param {object} [options.logger=console]
+ * @returns {{run: function(): object}}
+ */
+function createRetentionManager({
+    outputDir,
+    logDir,
+    audioExtensions,
+    getPolicy,
+    getRecordingState,
+    onDelete = null,
+    logger = console
+}) {
+    function getSize(filePath) {
+        try {
+            return fs.statSync(filePath).size;
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * Liệt kê các bản ghi trong các thư mục ngày và tổng dung lượng của OUTPUT_DIR (không tính logs)
+     */
+    function scanRecordings() {
+        const recordings = [];
+        let totalBytes = 0;
+        if (!fs.existsSync(outputDir)) {
+            return { recordings, totalBytes };
+        }
+
+        const dateFolders = fs.readdirSync(outputDir, { withFileTypes: true })
+            .filter(entry => entry.isDirectory() && DATE_FOLDER_PATTERN.test(entry.name));
+        for (const folder of dateFolders) {
+            const dateDir = path.join(outputDir, folder.name);
+            const files = fs.readdirSync(dateDir);
+            for (const file of files) {
+                const filePath = path.join(dateDir, file);
+                let stats;
+                try {
+                    stats = fs.statSync(filePath);
+                } catch {
+                    continue;
+                }
+                totalBytes += stats.size;
+
+                const ext = path.extname(file).toLowerCase();
+                if (!file.endsWith(UNRECOVERABLE_SUFFIX) && !audioExtensions.includes(ext)) {
+                    continue;
+                }
+                const sidecarPath = path.join(dateDir, `${path.parse(file).name}.json`);
+                const hasSidecar = files.includes(path.basename(sidecarPath));
+                recordings.push({
+                    path: filePath,
+                    files: hasSidecar ? [filePath, sidecarPath] : [filePath],
+                    size: stats.size + (hasSidecar ? getSize(sidecarPath) : 0),
+                    mtimeMs: stats.mtimeMs,
+                    state: file.endsWith(UNRECOVERABLE_SUFFIX) ? 'failed' : getRecordingState(filePath)
+                });
+            }
+        }
+        return { recordings, totalBytes };
+    }
+
+    function deleteRecording(recording, reason) {
+        try {
+            recording.files.forEach(filePath => fs.rmSync(filePath, { force: true }));
+        } catch (err) {
+            logger.error(`retention: Failed to delete ${recording.path}:`, err.message);
+            return false;
+        }
+        logger.log(`[RETENTION] Deleted ${recording.state} recording ${recording.path} (${reason})`);
+        if (onDelete) {
+            try {
+                onDelete(recording.path, reason);
+            } catch (err) {
+                logger.error('retention: onDelete failed:', err.message);
+            }
+        }
+        return true;
+    }
+
+    function removeEmptyDateFolders() {
+        try {
+            fs.readdirSync(outputDir, { withFileTypes: true })
+                .filter(entry => entry.isDirectory() && DATE_FOLDER_PATTERN.test(entry.name))
+                .forEach((entry) => {
+                    const dateDir = path.join(outputDir, entry.name);
+                    if (!fs.readdirSync(dateDir).length) {
+                        fs.rmdirSync(dateDir);
+                    }
+                });
+        } catch {}
+    }
+
+    function cleanLogs(now, logMaxAgeMs) {
+        if (!logMaxAgeMs || !fs.existsSync(logDir)) {
+            return 0;
+        }
+        let deleted = 0;
+        fs.readdirSync(logDir).forEach((file) => {
+            const filePath = path.join(logDir, file);
+            try {
+                const stats = fs.statSync(filePath);
+                if (stats.isFile() && now - stats.mtimeMs > logMaxAgeMs) {
+                    fs.unlinkSync(filePath);
+                    deleted++;
+                }
+            } catch (err) {
+                logger.error(`retention: Failed to delete log ${filePath}:`, err.message);
+            }
+        });
+        return deleted;
+    }
+
+    /**
+     * Chạy một lượt dọn dẹp
+     * @returns {{deletedRecordings: number, deletedLogs: number, freedBytes: number, totalBytes: number}}
+     */
+    function run() {
+        const policy = getPolicy();
+        const now = Date.now();
+        const summary = { deletedRecordings: 0, deletedLogs: 0, freedBytes: 0, totalBytes: 0 };
+        const { recordings, totalBytes } = scanRecordings();
+        let remainingBytes = totalBytes;
+
+        const remove = (recording, reason) => {
+            if (deleteRecording(recording, reason)) {
+                recording.deleted = true;
+                summary.deletedRecordings++;
+                summary.freedBytes += recording.size;
+                remainingBytes -= recording.size;
+            }
+        };
+
+        // 1. Theo tuổi
+        recordings.forEach((recording) => {
+            const age = now - recording.mtimeMs;
+            if (recording.state === 'uploaded' && policy.uploadedMaxAgeMs > 0 && age > policy.uploadedMaxAgeMs) {
+                remove(recording, 'uploaded max age');
+            } else if (recording.state === 'failed' && policy.failedMaxAgeMs > 0 && age > policy.failedMaxAgeMs) {
+                remove(recording, 'failed max age');
+            }
+        });
+
+        // 2. Theo tổng dung lượng: xóa bản cũ nhất, bản đã upload trước
+        if (policy.maxTotalBytes > 0 && remainingBytes > policy.maxTotalBytes) {
+            const deletableStates = policy.deleteFailedForSpace ? ['uploaded', 'failed'] : ['uploaded'];
+            const candidates = recordings
+                .filter(recording => !recording.deleted && deletableStates.includes(recording.state))
+                .sort((a, b) => deletableStates.indexOf(a.state) - deletableStates.indexOf(b.state) || a.mtimeMs - b.mtimeMs);
+            for (const recording of candidates) {
+                if (remainingBytes <= policy.maxTotalBytes) {
+                    break;
+                }
+                remove(recording, 'max total size');
+            }
+            if (remainingBytes > policy.maxTotalBytes) {
+                logger.warn(`[RETENTION] Recordings use ${Math.round(remainingBytes / 1048576)} MB, above the limit of ${Math.round(policy.maxTotalBytes / 1048576)} MB, but the rest have not been uploaded`);
+            }
+        }
+
+        if (summary.deletedRecordings) {
+            removeEmptyDateFolders();
+        }
+        summary.deletedLogs = cleanLogs(now, policy.logMaxAgeMs);
+        summary.totalBytes = remainingBytes;
+        return summary;
+    }
+
+    return { run };
+}
+
+module.exports = { createRetentionManager };
@@ -0,0 +1,106 @@
+const fs = require('fs');
+
+/**
+ * Lấy mẫu liên tục `count` lần, mỗi lần cách nhau `intervalMs`
+ * @param {function(): Promise<object>} sample - Hàm lấy một mẫu
+ * @param {number} count
+ * @param {number} intervalMs
+ * @returns {Promise<object[]>}
+ */
+async function collectSamples(sample, count, intervalMs) {
+    const samples = [];
+    for (let i = 0; i < count; i++) {
+        samples.push(await sample());
+        if (i < count - 1) {
+            await new Promise(resolve => setTimeout(resolve, intervalMs));
+        }
+    }
+    return samples;
+}
+
+/**
+ * Giá trị tại percentile `p` (0..1) của một mảng số
+ */
+function percentile(values, p) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.floor(p * (sorted.length - 1))));
+    return sorted[index];
+}
+
+/**
+ * Tính ngưỡng đề xuất từ mẫu lúc rảnh và lúc đang gọi.
+ * Ngưỡng nằm giữa giá trị cao nhất lúc rảnh và giá trị thấp (percentile 10) lúc gọi,
+ * nên mỗi phía có khoảng an toàn bằng một nửa khoảng cách.
+ *
+ * @param {number[]} idleValues
+ * @param {number[]} callValues
+ * @param {object} [options]
+ * @param {number} [options.minMarginRatio=0.1] - Khoảng cách tối thiểu (tỉ lệ so với idleHigh) để coi là tách biệt được
+ * @returns {{ok: boolean, threshold?: number, idleHigh: number, callLow: number, reason?: string}}
+ */
+function computeRecommendedThreshold(idleValues, callValues, { minMarginRatio = 0.1 } = {}) {
+    if (!idleValues.length || !callValues.length) {
+        return { ok: false, idleHigh: 0, callLow: 0, reason: 'Not enough samples' };
+    }
+
+    const idleHigh = Math.max(...idleValues);
+    // Bỏ qua vài mẫu thấp lúc cuộc gọi mới kết nối
+    const callLow = percentile(callValues, 0.1);
+    const gap = callLow - idleHigh;
+
+    if (gap <= 0 || gap < idleHigh * minMarginRatio) {
+        return {
+            ok: false,
+            idleHigh,
+            callLow,
+            reason: 'Idle and in-call values are too close to tell apart'
+        };
+    }
+
+    return {
+        ok: true,
+        threshold: Math.round(idleHigh + gap / 2),
+        idleHigh,
+        callLow
+    };
+}
+
+/**
+ * Ghi một key vào file config dạng key=value (mỗi dòng một key).
+ * Giữ nguyên các dòng khác, comment và kiểu xuống dòng của file.
+ * @param {string} configPath
+ * @param {string} key
+ * @param {string|number} value
+ */
+function writeConfigValue(configPath, key, value) {
+    const content = fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : '';
+    const eol = content.includes('\r\n') ? '\r\n' : (content ? '\n' : '\r\n');
+    const lines = content ? content.split(/\r?\n/) : [];
+    let replaced = false;
+
+    const updated = lines.map((line) => {
+        const trimmedLine = line.trim();
+        const equalIndex = trimmedLine.indexOf('=');
+        if (trimmedLine.startsWith('#') || equalIndex === -1) {
+            return line;
+        }
+        if (trimmedLine.substring(0, equalIndex).trim() !== key) {
+            return line;
+        }
+        replaced = true;
+        return `${key}=${value}`;
+    });
+
+    if (!replaced) {
+        // Chèn trước dòng trống cuối file (nếu có)
+        if (updated.length && updated[updated.length - 1] === '') {
+            updated.splice(updated.length - 1, 0, `${key}=${value}`);
+        } else {
+            updated.push(`${key}=${value}`);
+        }
+    }
+
+    fs.writeFileSync(configPath, updated.join(eol), 'utf8');
+}
+
+module.exports = { collectSamples, computeRecommendedThreshold, writeConfigValue };
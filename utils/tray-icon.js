@@ -0,0 +1,51 @@
+/**
+ * Màu icon (RGB) và nhãn của từng trạng thái hiển thị trên khay hệ thống
+ */
+const TRAY_STATUSES = {
+    idle: { color: [140, 140, 140], label: 'Đang chờ Zalo' },
+    zalo: { color: [0, 104, 255], label: 'Đã phát hiện Zalo' },
+    recording: { color: [220, 30, 30], label: 'Đang ghi âm' },
+    uploading: { color: [240, 160, 0], label: 'Đang upload' },
+    failed: { color: [150, 40, 160], label: 'Upload lỗi' }
+};
+
+/**
+ * Vẽ icon hình tròn một màu (có khử răng cưa ở viền), dạng bitmap BGRA
+ * để dùng với nativeImage.createFromBitmap - không cần file ảnh đi kèm.
+ * @param {number} size - Kích thước cạnh (px)
+ * @param {number[]} color - [r, g, b]
+ * @returns {Buffer}
+ */
+function createCircleBitmap(size, [r, g, b]) {
+    const buffer = Buffer.alloc(size * size * 4);
+    const center = (size - 1) / 2;
+    const radius = size / 2 - 0.5;
+
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const distance = Math.hypot(x - center, y - center);
+            const coverage = Math.max(0, Math.min(1, radius - distance + 0.5));
+            const offset = (y * size + x) * 4;
+            buffer[offset] = b;
+            buffer[offset + 1] = g;
+            buffer[offset + 2] = r;
+            buffer[offset + 3] = Math.round(coverage * 255);
+        }
+    }
+    return buffer;
+}
+
+/**
+ * Định dạng thời lượng ghi âm, ví dụ: 05:09 hoặc 1:02:03
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatElapsed(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = String(Math.floor(totalSeconds / 60) % 60).padStart(2, '0');
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    return hours > 0 ? `${hours}:${minutes}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+module.exports = { TRAY_STATUSES, createCircleBitmap, formatElapsed };
@@ -0,0 +1,264 @@
+const fs = require('fs');
+const path = require('path');
+const { installStagedFiles, MANIFEST_FILE, SIGNATURE_FILE } = require('./code-signing');
+
+/**
+ * Parse version dạng semver (1.2.3, v1.2.3, 1.2.3-beta.1)
+ * @param {string} version
+ * @returns {{parts: number[], prerelease: string[]}|null}
+ */
+function parseVersion(version) {
+    const match = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z.-]+))?(?:\+.*)?$/.exec(String(version || '').trim());
+    if (!match) {
+        return null;
+    }
+    return {
+        parts: [match[1], match[2], match[3]].map(n => parseInt(n || '0', 10)),
+        prerelease: match[4] ? match[4].split('.') : []
+    };
+}
+
+/**
+ * So sánh 2 version theo semver
+ * @returns {number} > 0 nếu a mới hơn b, < 0 nếu cũ hơn, 0 nếu bằng nhau (hoặc không parse được)
+ */
+function compareVersions(a, b) {
+    const va = parseVersion(a);
+    const vb = parseVersion(b);
+    if (!va || !vb) {
+        return 0;
+    }
+    for (let i = 0; i < 3; i++) {
+        if (va.parts[i] !== vb.parts[i]) {
+            return va.parts[i] - vb.parts[i];
+        }
+    }
+    // Bản chính thức mới hơn bản pre-release cùng số (1.2.0 > 1.2.0-beta)
+    if (!va.prerelease.length || !vb.prerelease.length) {
+        return vb.prerelease.length - va.prerelease.length;
+    }
+    for (let i = 0; i < Math.max(va.prerelease.length, vb.prerelease.length); i++) {
+        const x = va.prerelease[i];
+        const y = vb.prerelease[i];
+        if (x === undefined || y === undefined) {
+            return x === undefined ? -1 : 1;
+        }
+        if (x !== y) {
+            const nx = /^\d+$/.test(x) ? parseInt(x, 10) : null;
+            const ny = /^\d+$/.test(y) ? parseInt(y, 10) : null;
+            if (nx !== null && ny !== null) {
+                return nx - ny;
+            }
+            return x < y ? -1 : 1;
+        }
+    }
+    return 0;
+}
+
+/**
+ * Quản lý các version code remote trong cache:
+ * - Mỗi version được lưu riêng trong `versions/<version>/`, giữ lại `keepVersions` bản gần nhất
+ * - Bản đang dùng (active) được copy ra thư mục gốc của cache (main.js, renderer.js, app.version)
+ * - Sau khi cập nhật, version ở trạng thái "pending" cho đến khi health check thành công;
+ *   nếu health check lỗi hoặc app khởi động lại quá `maxLaunchAttempts` lần mà chưa ổn định
+ *   (crash loop) thì quay về version trước và đưa version lỗi vào blacklist.
+ *
+ * @param {object} options
+ * @param {string} options.cacheDir - CODE_CACHE_DIR
+ * @param {string[]} options.fileNames - Các file code (main.js, renderer.js)
+ * @param {number} [options.keepVersions=3]
+ * @param {number} [options.maxLaunchAttempts=2]
+ * @param {object} [options.logger=console]
+ * @returns {object} API quản lý update
+ */
+function createUpdateManager({ cacheDir, fileNames, keepVersions = 3, maxLaunchAttempts = 2, logger = console }) {
+    const versionsDir = path.join(cacheDir, 'versions');
+    const stateFile = path.join(cacheDir, 'update-state.json');
+    const versionFile = path.join(cacheDir, 'app.version');
+    let state = loadState();
+
+    function loadState() {
+        const initial = { active: null, previous: null, pending: null, blacklist: [] };
+        try {
+            const parsed = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+            return { ...initial, ...parsed, blacklist: Array.isArray(parsed.blacklist) ? parsed.blacklist : [] };
+        } catch {
+            // Chưa có state (bản cài cũ): coi version trong app.version là active
+            try {
+                initial.active = fs.readFileSync(versionFile, 'utf8').trim() || null;
+            } catch {}
+            return initial;
+        }
+    }
+
+    function persist() {
+        try {
+            fs.mkdirSync(cacheDir, { recursive: true });
+            // Ghi ra file tạm rồi rename để tránh hỏng file khi mất điện giữa chừng
+            const tempFile = `${stateFile}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(state, null, 2), 'utf8');
+            fs.renameSync(tempFile, stateFile);
+        } catch (err) {
+            logger.error('update-manager: Failed to persist state:', err.message);
+        }
+    }
+
+    function getVersionDir(version) {
+        return path.join(versionsDir, version);
+    }
+
+    /**
+     * Copy các file của một version ra thư mục gốc của cache
+     * @param {string|null} version - null để bỏ cache (dùng code đi kèm app)
+     */
+    function activate(version) {
+        const names = [...fileNames, MANIFEST_FILE, SIGNATURE_FILE];
+        if (!version) {
+            names.forEach(name => fs.rmSync(path.join(cacheDir, name), { force: true }));
+            fs.rmSync(versionFile, { force: true });
+            return;
+        }
+        const sourceDir = getVersionDir(version);
+        names.forEach((name) => {
+            const tempPath = path.join(cacheDir, `${name}.tmp`);
+            fs.copyFileSync(path.join(sourceDir, name), tempPath);
+            fs.renameSync(tempPath, path.join(cacheDir, name));
+        });
+        fs.writeFileSync(versionFile, version, 'utf8');
+    }
+
+    /**
+     * Xóa các version cũ, giữ lại `keepVersions` bản mới nhất và luôn giữ active/previous
+     */
+    function pruneVersions() {
+        let versions;
+        try {
+            versions = fs.readdirSync(versionsDir);
+        } catch {
+            return;
+        }
+        const keep = new Set([state.active, state.previous].filter(Boolean));
+        versions
+            .sort((a, b) => compareVersions(b, a))
+            .filter(version => !keep.has(version))
+            .slice(Math.max(0, keepVersions - keep.size))
+            .forEach((version) => {
+                fs.rmSync(getVersionDir(version), { recursive: true, force: true });
+            });
+    }
+
+    /**
+     * Version hiện tại để so sánh với version remote
+     * @param {string} bundledVersion - Version của code đi kèm app
+     */
+    function getCurrentVersion(bundledVersion) {
+        return state.active || bundledVersion;
+    }
+
+    function isBlacklisted(version) {
+        return state.blacklist.includes(version);
+    }
+
+    /**
+     * Version remote có nên được cài không: phải mới hơn (semver) và không nằm trong blacklist
+     */
+    function shouldInstall(remoteVersion, bundledVersion) {
+        if (!parseVersion(remoteVersion) || isBlacklisted(remoteVersion)) {
+            return false;
+        }
+        return compareVersions(remoteVersion, getCurrentVersion(bundledVersion)) > 0;
+    }
+
+    /**
+     * Lưu version đã xác thực (trong staging) vào versions/<version>/ và kích hoạt,
+     * version ở trạng thái pending cho đến khi markHealthy()
+     * @param {string} version
+     * @param {string} stagingDir
+     */
+    function install(version, stagingDir) {
+        const targetDir = getVersionDir(version);
+        fs.rmSync(targetDir, { recursive: true, force: true });
+        installStagedFiles(stagingDir, targetDir, fileNames);
+        activate(version);
+
+        state.previous = state.active;
+        state.active = version;
+        state.pending = { version, installedAt: Date.now(), launchAttempts: 0 };
+        persist();
+        pruneVersions();
+    }
+
+    /**
+     * Quay về version trước, đưa version hiện tại vào blacklist
+     * @param {string} reason
+     * @returns {string|null} Version được kích hoạt lại (null = code đi kèm app)
+     */
+    function rollback(reason) {
+        const badVersion = state.active;
+        let target = state.previous;
+        if (target && !fs.existsSync(getVersionDir(target))) {
+            target = null;
+        }
+        try {
+            activate(target);
+        } catch (err) {
+            logger.error('update-manager: Failed to restore previous version, falling back to bundled code:', err.message);
+            activate(null);
+            target = null;
+        }
+
+        if (badVersion && !state.blacklist.includes(badVersion)) {
+            state.blacklist.push(badVersion);
+        }
+        state.active = target;
+        state.previous = null;
+        state.pending = null;
+        persist();
+        logger.error(`[UPDATE] Rolled back ${badVersion} -> ${target || 'bundled'}: ${reason}`);
+        return target;
+    }
+
+    /**
+     * Gọi mỗi lần app khởi động. Nếu version pending đã khởi động quá số lần cho phép
+     * mà chưa qua health check (crash loop) thì rollback.
+     * @returns {{rolledBack: boolean, version: string|null}}
+     */
+    function recordLaunch() {
+        if (!state.pending) {
+            return { rolledBack: false, version: state.active };
+        }
+        state.pending.launchAttempts += 1;
+        persist();
+        if (state.pending.launchAttempts > maxLaunchAttempts) {
+            const version = rollback(`not healthy after ${maxLaunchAttempts} launch(es)`);
+            return { rolledBack: true, version };
+        }
+        return { rolledBack: false, version: state.active };
+    }
+
+    /**
+     * Health check thành công: version pending trở thành ổn định
+     */
+    function markHealthy() {
+        if (!state.pending) {
+            return;
+        }
+        logger.log(`[UPDATE] Version ${state.pending.version} passed health check`);
+        state.pending = null;
+        persist();
+    }
+
+    return {
+        getState: () => JSON.parse(JSON.stringify(state)),
+        getCurrentVersion,
+        isBlacklisted,
+        shouldInstall,
+        install,
+        rollback,
+        recordLaunch,
+        markHealthy,
+        isPending: () => !!state.pending
+    };
+}
+
+module.exports = { parseVersion, compareVersions, createUpdateManager };
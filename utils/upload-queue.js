@@ -0,0 +1,270 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Hàng đợi upload bền vững (lưu trên đĩa), retry với exponential backoff.
+ *
+ * Mỗi job giữ bước hiện tại (`step`) để khi app khởi động lại sẽ tiếp tục
+ * đúng bước đang dở. Việc thực hiện từng bước do `processJob` bên ngoài đảm nhiệm:
+ * nó cập nhật các field của job rồi gọi `checkpoint()` để lưu lại tiến độ.
+ *
+ * @param {object} options
+ * @param {string} options.queueFile - Đường dẫn file JSON lưu hàng đợi
+ * @param {function(object, function): Promise<void>} options.processJob - Xử lý một job, throw nếu lỗi
+ * @param {number} [options.baseDelayMs=5000] - Thời gian chờ cho lần retry đầu tiên
+ * @param {number} [options.maxDelayMs=600000] - Thời gian chờ tối đa giữa 2 lần retry
+ * @param {number} [options.maxAttempts=0] - Số lần thử tối đa, 0 = không giới hạn
+ * @param {function(object, Error): void} [options.onJobError] - Gọi mỗi khi một lần thử bị lỗi
+ *        (job.state = 'failed' nếu không retry nữa)
+ * @param {object} [options.logger=console]
+ * @returns {object} API của hàng đợi
+ */
+function createUploadQueue({
+    queueFile,
+    processJob,
+    baseDelayMs = 5000,
+    maxDelayMs = 600000,
+    maxAttempts = 0,
+    onJobError = null,
+    logger = console
+}) {
+    let jobs = loadJobs();
+    let timer = null;
+    let started = false;
+    let chain = Promise.resolve();
+    let activeJob = null;
+
+    function loadJobs() {
+        try {
+            if (!fs.existsSync(queueFile)) {
+                return [];
+            }
+            const parsed = JSON.parse(fs.readFileSync(queueFile, 'utf8'));
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (err) {
+            // File hỏng: giữ lại bản sao để kiểm tra, bắt đầu với hàng đợi rỗng
+            logger.error('upload-queue: Failed to read queue file, starting empty:', err.message);
+            try {
+                fs.renameSync(queueFile, `${queueFile}.corrupt-${Date.now()}`);
+            } catch {}
+            return [];
+        }
+    }
+
+    function persist() {
+        try {
+            fs.mkdirSync(path.dirname(queueFile), { recursive: true });
+            // Ghi ra file tạm rồi rename để tránh hỏng file khi mất điện giữa chừng
+            const tempFile = `${queueFile}.tmp`;
+            fs.writeFileSync(tempFile, JSON.stringify(jobs, null, 2), 'utf8');
+            fs.renameSync(tempFile, queueFile);
+        } catch (err) {
+            logger.error('upload-queue: Failed to persist queue:', err.message);
+        }
+    }
+
+    /**
+     * Chạy tuần tự - chỉ một job được xử lý tại một thời điểm
+     */
+    function runExclusive(fn) {
+        const result = chain.then(fn);
+        chain = result.catch(() => {});
+        return result;
+    }
+
+    function getRetryDelay(attempts) {
+        const delay = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempts - 1));
+        // Thêm jitter ±20% để các máy không retry cùng lúc
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    async function runJob(job) {
+        if (!jobs.includes(job) || job.state !== 'pending') {
+            return false;
+        }
+
+        activeJob = job;
+        try {
+            await processJob(job, persist);
+            jobs = jobs.filter(j => j !== job);
+            persist();
+            return true;
+        } catch (err) {
+            job.attempts += 1;
+            job.lastError = err.message;
+            job.lastAttemptAt = Date.now();
+
+            if (err.permanent || (maxAttempts > 0 && job.attempts >= maxAttempts)) {
+                job.state = 'failed';
+                logger.error(`upload-queue: Job ${job.id} failed permanently at step "${job.step}":`, err.message);
+            } else {
+                const delay = getRetryDelay(job.attempts);
+                job.nextAttemptAt = Date.now() + delay;
+                logger.error(`upload-queue: Job ${job.id} failed at step "${job.step}" (attempt ${job.attempts}), retrying in ${Math.round(delay / 1000)}s:`, err.message);
+            }
+            persist();
+            if (onJobError) {
+                try {
+                    onJobError(job, err);
+                } catch (hookErr) {
+                    logger.error('upload-queue: onJobError failed:', hookErr.message);
+                }
+            }
+            return false;
+        } finally {
+            activeJob = null;
+        }
+    }
+
+    async function processDueJobs() {
+        const now = Date.now();
+        const dueJobs = jobs.filter(j => j.state === 'pending' && j.nextAttemptAt <= now);
+        for (const job of dueJobs) {
+            if (!started) {
+                break;
+            }
+            await runJob(job);
+        }
+    }
+
+    function scheduleNext() {
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+        if (!started) {
+            return;
+        }
+
+        const pending = jobs.filter(j => j.state === 'pending');
+        if (!pending.length) {
+            return;
+        }
+
+        const nextAt = Math.min(...pending.map(j => j.nextAttemptAt));
+        const delay = Math.max(0, nextAt - Date.now());
+        timer = setTimeout(() => {
+            timer = null;
+            runExclusive(processDueJobs).finally(scheduleNext);
+        }, delay);
+    }
+
+    /**
+     * Thêm job mới vào hàng đợi (được lưu xuống đĩa ngay lập tức)
+     * @param {object} data - Dữ liệu của job (filePath, beginTime, endTime...)
+     * @returns {object} Job đã tạo
+     */
+    function enqueue(data) {
+        const job = {
+            ...data,
+            id: crypto.randomUUID(),
+            step: 'presign',
+            state: 'pending',
+            attempts: 0,
+            lastError: null,
+            createdAt: Date.now(),
+            nextAttemptAt: Date.now()
+        };
+        jobs.push(job);
+        persist();
+        return job;
+    }
+
+    /**
+     * Xử lý một job ngay (không đợi lịch retry)
+     * @param {string} id - ID của job
+     * @returns {Promise<boolean>} True nếu job hoàn tất
+     */
+    function runNow(id) {
+        return runExclusive(() => {
+            const job = jobs.find(j => j.id === id);
+            return job ? runJob(job) : false;
+        }).finally(scheduleNext);
+    }
+
+    /**
+     * Đưa job đã lỗi hẳn (state 'failed') về hàng đợi, thử lại từ bước đang dở
+     * @param {string} id - ID của job
+     * @returns {object|null} Job, null nếu không có job failed với ID này
+     */
+    function retry(id) {
+        const job = jobs.find(j => j.id === id && j.state === 'failed');
+        if (!job) {
+            return null;
+        }
+        job.state = 'pending';
+        job.attempts = 0;
+        job.nextAttemptAt = Date.now();
+        persist();
+        scheduleNext();
+        return { ...job };
+    }
+
+    /**
+     * Xóa job khỏi hàng đợi (không xóa file audio). Không xóa được job đang chạy.
+     * @param {string} id - ID của job
+     * @returns {object|null} Job đã xóa, null nếu không có hoặc đang chạy
+     */
+    function remove(id) {
+        const job = jobs.find(j => j.id === id);
+        if (!job || job === activeJob) {
+            return null;
+        }
+        jobs = jobs.filter(j => j !== job);
+        persist();
+        return job;
+    }
+
+    /**
+     * Bắt đầu xử lý hàng đợi (tiếp tục các job còn dở từ lần chạy trước)
+     */
+    function start() {
+        if (started) {
+            return;
+        }
+        started = true;
+        const pendingCount = jobs.filter(j => j.state === 'pending').length;
+        if (pendingCount > 0) {
+            logger.log(`[UPLOAD] Resuming ${pendingCount} pending upload(s)`);
+        }
+        // Khởi động lại: retry ngay, không đợi hết thời gian backoff cũ
+        jobs.forEach((job) => {
+            if (job.state === 'pending') {
+                job.nextAttemptAt = Math.min(job.nextAttemptAt, Date.now());
+            }
+        });
+        scheduleNext();
+    }
+
+    function stop() {
+        started = false;
+        if (timer) {
+            clearTimeout(timer);
+            timer = null;
+        }
+    }
+
+    /**
+     * Không có job đang chạy và không có job đến hạn chờ chạy
+     * (job đang đợi retry theo backoff không tính)
+     */
+    function isIdle() {
+        const now = Date.now();
+        return !activeJob && !jobs.some(j => j.state === 'pending' && j.nextAttemptAt <= now);
+    }
+
+    return {
+        enqueue,
+        runNow,
+        retry,
+        remove,
+        start,
+        stop,
+        isIdle,
+        size: () => jobs.filter(j => j.state === 'pending').length,
+        list: () => jobs.map(j => ({ ...j }))
+    };
+}
+
+module.exports = { createUploadQueue };